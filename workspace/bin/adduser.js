@@ -0,0 +1,34 @@
+//
+// # adduser
+//
+// Creates a chat account from the command line:
+//
+//     $ node bin/adduser.js <username> <password> [email]
+//
+// Uses the same `process.env.ACCOUNTS_FILE` as the server.
+//
+var path = require('path');
+
+var Accounts = require('../lib/accounts');
+
+var username = process.argv[2];
+var password = process.argv[3];
+var email = process.argv[4];
+
+if (!username || !password) {
+  console.error('Usage: node bin/adduser.js <username> <password> [email]');
+  process.exit(1);
+}
+
+var accounts = new Accounts({
+  file: process.env.ACCOUNTS_FILE || path.resolve(__dirname, '..', 'data', 'accounts.json')
+});
+
+accounts.create({ username: username, password: password, email: email }, function (err) {
+  if (err) {
+    console.error('Could not create the account:', err.message);
+    process.exit(1);
+  }
+
+  console.log('Created account', username);
+});
@@ -0,0 +1,472 @@
+//
+// # Accounts
+//
+// User accounts and login sessions for the chat server, persisted to a JSON
+// file. Passwords are stored as salted PBKDF2 hashes, never in clear.
+//
+var crypto = require('crypto');
+
+var JsonFile = require('./json-file');
+var util = require('./util');
+
+var own = util.own;
+var defer = util.defer;
+var error = util.error;
+
+// Usernames are also the names shown in the chat, e.g. `mo.eweda`. They are
+// unique whatever their case, and keep the case they were registered with.
+var USERNAME = /^[a-z0-9][\w.-]{1,31}$/i;
+var MIN_PASSWORD = 8;
+
+// Passwords mix at least two of these kinds of characters.
+var PASSWORD_KINDS = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^a-zA-Z0-9]/];
+
+// Nicknames are shown instead of usernames, but cannot pass for a mention or
+// a room, nor for someone else with invisible characters such as zero-width
+// spaces or bidirectional overrides.
+var NICK = /^[^\s@#\u200b-\u200f\u202a-\u202e\u2060-\u2069\ufeff][^@#\u0000-\u001f\u007f\u200b-\u200f\u202a-\u202e\u2060-\u2069\ufeff]{0,31}$/;
+var EMAIL = /^[^\s@]+@[^\s@]+$/;
+
+var ITERATIONS = 10000;
+var KEY_LENGTH = 32;
+var DIGEST = 'sha256';
+
+// How long a session token stays valid after login, in milliseconds.
+var SESSION_TTL = 7 * 24 * 60 * 60 * 1000;
+
+// How long a password reset token stays valid, in milliseconds.
+var RESET_TTL = 60 * 60 * 1000;
+
+// The roles users can have, from the least to the most trusted. Moderators
+// can silence other users, admins can also ban them and grant roles.
+var ROLES = ['user', 'moderator', 'admin'];
+
+//
+// ## Accounts `Accounts(options)`
+//
+// Creates a new account store with the following options:
+//  * `file` - The path of the JSON file holding the accounts, sessions and
+//    password reset tokens.
+//  * `admins` - The usernames of admins, whatever role they were given, so
+//    that there is someone to grant the first roles.
+//
+function Accounts(options) {
+  this.file = new JsonFile(options.file);
+  this.admins = options.admins || [];
+
+  var data = this.file.read({});
+
+  this.users = data.users || {};
+  this.sessions = data.sessions || {};
+  this.resets = data.resets || {};
+}
+
+//
+// ## create `create(account, callback)`
+//
+// Registers a new account from its `username`, `password` and optional
+// `email`, and calls back with `(err, username)`. Invalid or taken usernames,
+// including those someone uses as nickname, invalid emails and weak passwords
+// are refused.
+//
+Accounts.prototype.create = function (account, callback) {
+  var self = this;
+
+  var username = String(account.username || '');
+  var password = String(account.password || '');
+  var email = String(account.email || '');
+
+  if (!USERNAME.test(username))
+    return defer(callback, error('Usernames are 2 to 32 letters, digits, dots, dashes or underscores, starting with a letter or digit', 400));
+
+  if (email && !EMAIL.test(email))
+    return defer(callback, error('That email address is invalid', 400));
+
+  var invalid = checkPassword(password);
+
+  if (invalid)
+    return defer(callback, invalid);
+
+  if (taken(this.users, username, null))
+    return defer(callback, error('That username is taken', 409));
+
+  var salt = crypto.randomBytes(16).toString('hex');
+
+  hash(password, salt, function (err, key) {
+    if (err)
+      return callback(err);
+
+    if (taken(self.users, username, null))
+      return callback(error('That username is taken', 409));
+
+    self.users[username] = {
+      salt: salt,
+      hash: key,
+      email: email || null,
+      created: Date.now()
+    };
+
+    self.save(function (err) {
+      callback(err, username);
+    });
+  });
+};
+
+//
+// ## login `login(username, password, callback)`
+//
+// Checks the credentials and calls back with `(err, session)`, where
+// `session` holds the `token`, `username`, as registered whatever the case
+// it was typed in, and `expires` time of a new session.
+//
+Accounts.prototype.login = function (username, password, callback) {
+  var self = this;
+
+  username = accountName(this.users, username);
+
+  if (!username)
+    return defer(callback, error('Wrong username or password', 401));
+
+  var user = this.users[username];
+
+  hash(String(password || ''), user.salt, function (err, key) {
+    if (err)
+      return callback(err);
+
+    if (!equal(key, user.hash))
+      return callback(error('Wrong username or password', 401));
+
+    var session = {
+      token: crypto.randomBytes(24).toString('hex'),
+      username: username,
+      expires: Date.now() + SESSION_TTL
+    };
+
+    self.sessions[session.token] = {
+      username: session.username,
+      expires: session.expires
+    };
+
+    self.save(function (err) {
+      callback(err, session);
+    });
+  });
+};
+
+//
+// ## known `known(usernames, callback)`
+//
+// Calls back with `(err, known)`, where `known` holds the usernames, as
+// registered, of those of `usernames` which have an account, without
+// duplicates.
+//
+Accounts.prototype.known = function (usernames, callback) {
+  var self = this;
+  var known = [];
+
+  usernames.forEach(function (username) {
+    username = accountName(self.users, username);
+
+    if (username && known.indexOf(username) === -1)
+      known.push(username);
+  });
+
+  defer(callback, null, known);
+};
+
+//
+// ## roleOf `roleOf(username, callback)`
+//
+// Calls back with `(err, role)`, where `role` is one of `Accounts.ROLES`, or
+// `null` if there is no such account, whatever the case of `username`.
+//
+Accounts.prototype.roleOf = function (username, callback) {
+  username = accountName(this.users, username);
+
+  var user = username ? this.users[username] : null;
+  var role = null;
+
+  if (user)
+    role = this.admins.indexOf(username) !== -1 ? 'admin' : user.role || 'user';
+
+  defer(callback, null, role);
+};
+
+//
+// ## setRole `setRole(username, role, callback)`
+//
+// Gives the account `username`, whatever its case, one of `Accounts.ROLES`
+// and calls back with `(err, role)`.
+//
+Accounts.prototype.setRole = function (username, role, callback) {
+  username = accountName(this.users, username);
+
+  var user = username ? this.users[username] : null;
+
+  if (!user)
+    return defer(callback, error('No such user', 404));
+
+  if (ROLES.indexOf(role) === -1)
+    return defer(callback, error('Roles are ' + ROLES.join(', '), 400));
+
+  if (role === 'user')
+    delete user.role;
+  else
+    user.role = role;
+
+  this.save(function (err) {
+    callback(err, role);
+  });
+};
+
+//
+// ## nickOf `nickOf(username, callback)`
+//
+// Calls back with `(err, nick)`, where `nick` is the nickname of the account
+// `username`, whatever its case, or `null` if it has none.
+//
+Accounts.prototype.nickOf = function (username, callback) {
+  username = accountName(this.users, username);
+
+  var user = username ? this.users[username] : null;
+
+  defer(callback, null, user && user.nick || null);
+};
+
+//
+// ## setNick `setNick(username, nick, callback)`
+//
+// Gives the account `username`, whatever its case, the nickname `nick`, or
+// removes it if `nick` is `null`, and calls back with `(err, nick)`.
+// Nicknames can be neither the username nor the nickname of someone else,
+// whatever their case.
+//
+Accounts.prototype.setNick = function (username, nick, callback) {
+  var users = this.users;
+
+  username = accountName(users, username);
+
+  var user = username ? users[username] : null;
+
+  if (!user)
+    return defer(callback, error('No such user', 404));
+
+  if (nick != null) {
+    nick = String(nick);
+
+    if (!NICK.test(nick))
+      return defer(callback, error('Nicknames are 1 to 32 characters, without @, # or invisible characters', 400));
+
+    if (taken(users, nick, username))
+      return defer(callback, error('That nickname is taken', 409));
+  }
+
+  if (nick == null)
+    delete user.nick;
+  else
+    user.nick = nick;
+
+  this.save(function (err) {
+    callback(err, nick);
+  });
+};
+
+//
+// ## session `session(token, callback)`
+//
+// Calls back with `(err, username)` for a valid session token, or with
+// `(null, null)` if it is unknown or expired.
+//
+Accounts.prototype.session = function (token, callback) {
+  var session = own(this.sessions, String(token || ''));
+
+  if (session && session.expires <= Date.now()) {
+    this.logout(token, function (err) {
+      callback(err, null);
+    });
+    return;
+  }
+
+  process.nextTick(function () {
+    callback(null, session ? session.username : null);
+  });
+};
+
+//
+// ## logout `logout(token, callback)`
+//
+// Ends the session of `token`, if any, and calls back with `(err)`.
+//
+Accounts.prototype.logout = function (token, callback) {
+  if (!own(this.sessions, token))
+    return process.nextTick(callback);
+
+  delete this.sessions[token];
+  this.save(callback);
+};
+
+//
+// ## requestReset `requestReset(login, callback)`
+//
+// Starts a password reset for the account whose username or email is
+// `login`. Calls back with `(err, reset)`, where `reset` holds the `token`,
+// `username`, `email` and `expires` time of the reset, or is `null` if there
+// is no such account.
+//
+Accounts.prototype.requestReset = function (login, callback) {
+  var self = this;
+  var username = accountName(this.users, login);
+
+  if (!username) {
+    username = Object.keys(this.users).filter(function (name) {
+      return self.users[name].email && self.users[name].email === String(login || '');
+    })[0];
+  }
+
+  if (!username)
+    return defer(callback, null, null);
+
+  var reset = {
+    token: crypto.randomBytes(24).toString('hex'),
+    username: username,
+    email: this.users[username].email,
+    expires: Date.now() + RESET_TTL
+  };
+
+  this.resets[reset.token] = {
+    username: username,
+    expires: reset.expires
+  };
+
+  this.save(function (err) {
+    callback(err, reset);
+  });
+};
+
+//
+// ## resetPassword `resetPassword(token, password, callback)`
+//
+// Sets a new password with a token from `requestReset`, which can only be
+// used once, and calls back with `(err, username)`. Ends every session of the
+// account.
+//
+Accounts.prototype.resetPassword = function (token, password, callback) {
+  var self = this;
+  var reset = own(this.resets, String(token || ''));
+
+  password = String(password || '');
+
+  if (!reset || reset.expires <= Date.now())
+    return defer(callback, error('This password reset link is invalid or has expired', 400));
+
+  var invalid = checkPassword(password);
+
+  if (invalid)
+    return defer(callback, invalid);
+
+  var salt = crypto.randomBytes(16).toString('hex');
+
+  hash(password, salt, function (err, key) {
+    if (err)
+      return callback(err);
+
+    if (!own(self.resets, token))
+      return callback(error('This password reset link is invalid or has expired', 400));
+
+    var user = self.users[reset.username];
+
+    user.salt = salt;
+    user.hash = key;
+
+    delete self.resets[token];
+
+    Object.keys(self.sessions).forEach(function (session) {
+      if (self.sessions[session].username === reset.username)
+        delete self.sessions[session];
+    });
+
+    self.save(function (err) {
+      callback(err, reset.username);
+    });
+  });
+};
+
+//
+// Expired sessions and reset tokens are dropped whenever the file is saved.
+//
+Accounts.prototype.save = function (callback) {
+  var now = Date.now();
+
+  [this.sessions, this.resets].forEach(function (tokens) {
+    Object.keys(tokens).forEach(function (token) {
+      if (tokens[token].expires <= now)
+        delete tokens[token];
+    });
+  });
+
+  this.file.write({ users: this.users, sessions: this.sessions, resets: this.resets }, callback);
+};
+
+function checkPassword(password) {
+  if (password.length < MIN_PASSWORD)
+    return error('Passwords must be at least ' + MIN_PASSWORD + ' characters long', 400);
+
+  var kinds = PASSWORD_KINDS.filter(function (kind) {
+    return kind.test(password);
+  });
+
+  if (kinds.length < 2)
+    return error('Passwords must mix letters and digits, upper and lower case letters, or other characters', 400);
+
+  return null;
+}
+
+//
+// Returns the username of the account `username`, as registered, or `null`
+// if there is none, whatever the case of `username`.
+//
+function accountName(users, username) {
+  username = String(username || '');
+
+  if (own(users, username))
+    return username;
+
+  return Object.keys(users).filter(function (name) {
+    return name.toLowerCase() === username.toLowerCase();
+  })[0] || null;
+}
+
+//
+// Tells whether `name` is the username or the nickname of an account other
+// than `except`, whatever its case.
+//
+function taken(users, name, except) {
+  return Object.keys(users).some(function (username) {
+    return username !== except && [username, users[username].nick].some(function (other) {
+      return !!other && other.toLowerCase() === name.toLowerCase();
+    });
+  });
+}
+
+function hash(password, salt, callback) {
+  crypto.pbkdf2(password, salt, ITERATIONS, KEY_LENGTH, DIGEST, function (err, key) {
+    callback(err, key && key.toString('hex'));
+  });
+}
+
+//
+// Compares two hex digests in constant time.
+//
+function equal(a, b) {
+  var diff = a.length ^ b.length;
+
+  for (var i = 0; i < a.length && i < b.length; i++)
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+
+  return diff === 0;
+}
+
+Accounts.ROLES = ROLES;
+Accounts.USERNAME = USERNAME;
+
+module.exports = Accounts;
@@ -0,0 +1,98 @@
+//
+// # Commands
+//
+// The slash commands users type in the message box, like `/topic Lunch` or
+// `/me waves`, by name. The chat server registers its own, and loads those
+// of the modules listed in `process.env.COMMANDS`, which export a function
+// of the registry:
+//
+//     module.exports = function (commands) {
+//       commands.register({ name: 'roll', ... });
+//     };
+//
+
+// A command as typed: its name after a slash, then its arguments, if any,
+// after a space.
+var COMMAND = /^\/([a-z][\w-]{0,31})(?:\s+([\s\S]*))?$/i;
+
+var NAME = /^[a-z][\w-]{0,31}$/;
+
+//
+// ## Commands `Commands()`
+//
+// Creates a new, empty command registry.
+//
+function Commands() {
+  this.commands = Object.create(null);
+}
+
+//
+// ## register `register(command)`
+//
+// Adds `command`, an object with the following fields:
+//  * `name` - What users type after the slash, in lower case, e.g. `topic`.
+//  * `usage` - Its arguments, shown by `/help`, e.g. `[text]`. Optional.
+//  * `description` - What it does, in a sentence.
+//  * `role` - The least role allowed to run it, one of `Accounts.ROLES`;
+//    `user` by default.
+//  * `run(args, context, callback)` - Runs it with the text typed after its
+//    name, `args`, and calls back with `(err, result)`. `err` is a string
+//    shown to the user. `result` is passed back to the client, and may hold
+//    a `reply` to show only to them.
+//
+// The `context` of a command tells who ran it and where: the `user`, their
+// `role` and `socket`, and the `room` and thread `parent`, or the user `to`
+// whom they were writing. Its `send(message, callback)` sends a message as
+// that user where the command was typed, with a `text` and, for actions
+// like those of `/me`, `action: true`.
+//
+// Throws if the name is invalid or already taken.
+//
+Commands.prototype.register = function (command) {
+  if (!command || !NAME.test(command.name) || typeof command.run !== 'function')
+    throw new Error('Commands need a lower case name and a run function');
+
+  if (this.commands[command.name])
+    throw new Error('The command /' + command.name + ' is already registered');
+
+  this.commands[command.name] = command;
+};
+
+//
+// ## get `get(name)`
+//
+// Returns the command `name`, whatever its case, or `null`.
+//
+Commands.prototype.get = function (name) {
+  return this.commands[String(name).toLowerCase()] || null;
+};
+
+//
+// ## list `list()`
+//
+// Returns every command, by name.
+//
+Commands.prototype.list = function () {
+  var commands = this.commands;
+
+  return Object.keys(commands).sort().map(function (name) {
+    return commands[name];
+  });
+};
+
+//
+// ## parse `parse(text)`
+//
+// Returns the `name` and `args` of the command typed as `text`, or `null` if
+// it is not one. Texts like `/ hi` or `/usr/bin` are not commands.
+//
+Commands.prototype.parse = function (text) {
+  var match = COMMAND.exec(text || '');
+
+  if (!match)
+    return null;
+
+  return { name: match[1].toLowerCase(), args: (match[2] || '').trim() };
+};
+
+module.exports = Commands;
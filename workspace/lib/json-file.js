@@ -0,0 +1,77 @@
+//
+// # JsonFile
+//
+// A JSON document kept on disk, shared by the file-backed stores.
+//
+var fs = require('fs');
+var path = require('path');
+
+//
+// ## JsonFile `JsonFile(file)`
+//
+// Wraps the JSON file at `file`. Its directory is created if missing.
+//
+function JsonFile(file) {
+  this.file = path.resolve(file);
+  this.writing = false;
+  this.pending = [];
+  this.data = null;
+
+  if (!fs.existsSync(path.dirname(this.file)))
+    fs.mkdirSync(path.dirname(this.file));
+}
+
+//
+// Synchronously reads the document, or returns `fallback` if there is none
+// yet. Meant for startup only.
+//
+JsonFile.prototype.read = function (fallback) {
+  if (!fs.existsSync(this.file))
+    return fallback;
+
+  return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+};
+
+//
+// Saves `data` and calls back with `(err)`. Writes are serialized: saves
+// requested while a write is in flight are batched into the next one, which
+// writes the latest `data`. The file is replaced atomically by renaming a
+// temporary copy over it.
+//
+JsonFile.prototype.write = function (data, callback) {
+  this.data = data;
+  this.pending.push(callback);
+  this.flush();
+};
+
+JsonFile.prototype.flush = function () {
+  var self = this;
+
+  if (this.writing || !this.pending.length)
+    return;
+
+  var callbacks = this.pending;
+  var tmp = this.file + '.tmp';
+
+  this.writing = true;
+  this.pending = [];
+
+  fs.writeFile(tmp, JSON.stringify(this.data), function (err) {
+    if (err)
+      return done(err);
+
+    fs.rename(tmp, self.file, done);
+  });
+
+  function done(err) {
+    self.writing = false;
+
+    callbacks.forEach(function (callback) {
+      callback(err);
+    });
+
+    self.flush();
+  }
+};
+
+module.exports = JsonFile;
@@ -0,0 +1,167 @@
+//
+// # LogFile
+//
+// An append-only file of JSON records, one per line, for the stores whose
+// records are too many to rewrite on every change.
+//
+var fs = require('fs');
+var path = require('path');
+var readline = require('readline');
+var StringDecoder = require('string_decoder').StringDecoder;
+
+//
+// ## LogFile `LogFile(file)`
+//
+// Wraps the log file at `file`. Its directory is created if missing.
+//
+function LogFile(file) {
+  this.file = path.resolve(file);
+  this.size = 0;
+  this.writing = false;
+  this.pending = [];
+  this.lines = [];
+
+  if (!fs.existsSync(path.dirname(this.file)))
+    fs.mkdirSync(path.dirname(this.file));
+}
+
+//
+// Synchronously calls `onRecord(record)` with each record, in file order.
+// Meant for startup only. A last line cut short by a crash is dropped, one
+// only missing its line break gets it.
+//
+LogFile.prototype.each = function (onRecord) {
+  if (!fs.existsSync(this.file))
+    return;
+
+  var fd = fs.openSync(this.file, 'r');
+  var buffer = Buffer.alloc(64 * 1024);
+  var decoder = new StringDecoder('utf8');
+  var rest = '';
+  var read;
+
+  try {
+    while ((read = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+      var lines = (rest + decoder.write(buffer.slice(0, read))).split('\n');
+
+      rest = lines.pop();
+      lines.forEach(function (line) {
+        if (line.trim())
+          onRecord(JSON.parse(line));
+      });
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  this.size = fs.statSync(this.file).size;
+
+  rest += decoder.end();
+
+  if (!rest.trim())
+    return;
+
+  var record;
+
+  try {
+    record = JSON.parse(rest);
+  } catch (err) {
+    this.size -= Buffer.byteLength(rest);
+    return fs.truncateSync(this.file, this.size);
+  }
+
+  fs.appendFileSync(this.file, '\n');
+  this.size++;
+  onRecord(record);
+};
+
+//
+// Calls `onRecord(record)` with each record written so far, in file order,
+// then calls back with `(err)`.
+//
+LogFile.prototype.scan = function (onRecord, callback) {
+  if (!this.size)
+    return process.nextTick(callback);
+
+  var input = fs.createReadStream(this.file, { encoding: 'utf8', start: 0, end: this.size - 1 });
+  var lines = readline.createInterface({ input: input });
+  var failed = null;
+
+  input.on('error', done);
+
+  lines.on('line', function (line) {
+    if (failed || !line.trim())
+      return;
+
+    try {
+      onRecord(JSON.parse(line));
+    } catch (err) {
+      failed = err;
+    }
+  });
+
+  lines.on('close', function () {
+    done(failed);
+  });
+
+  function done(err) {
+    if (callback)
+      callback(err);
+
+    callback = null;
+  }
+};
+
+//
+// Appends `record` and calls back with `(err)`. Appends requested while a
+// write is in flight are batched into the next one, in order.
+//
+LogFile.prototype.append = function (record, callback) {
+  this.lines.push(JSON.stringify(record) + '\n');
+  this.pending.push(callback);
+  this.flush();
+};
+
+LogFile.prototype.flush = function () {
+  var self = this;
+
+  if (this.writing || !this.pending.length)
+    return;
+
+  var callbacks = this.pending;
+  var data = this.lines.join('');
+
+  this.writing = true;
+  this.pending = [];
+  this.lines = [];
+
+  fs.appendFile(this.file, data, function (err) {
+    self.writing = false;
+
+    if (!err)
+      self.size += Buffer.byteLength(data);
+
+    callbacks.forEach(function (callback) {
+      callback(err);
+    });
+
+    self.flush();
+  });
+};
+
+//
+// Synchronously replaces the whole log with `records`. Meant for startup
+// only. The file is replaced atomically by renaming a temporary copy over it.
+//
+LogFile.prototype.replace = function (records) {
+  var tmp = this.file + '.tmp';
+  var data = records.map(function (record) {
+    return JSON.stringify(record) + '\n';
+  }).join('');
+
+  fs.writeFileSync(tmp, data);
+  fs.renameSync(tmp, this.file);
+  this.size = Buffer.byteLength(data);
+};
+
+module.exports = LogFile;
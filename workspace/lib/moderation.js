@@ -0,0 +1,212 @@
+//
+// # Moderation
+//
+// The sanctions moderators and admins take against users, persisted to a
+// JSON file: timed mutes, and bans of accounts and of network addresses.
+// Every action is also recorded in an audit trail, oldest first.
+//
+var JsonFile = require('./json-file');
+var util = require('./util');
+
+var own = util.own;
+var defer = util.defer;
+
+// The largest number of audit entries kept, oldest are dropped first.
+var AUDIT_LIMIT = 10000;
+
+//
+// ## Moderation `Moderation(options)`
+//
+// Creates a new moderation store with the following options:
+//  * `file` - The path of the JSON file holding the mutes, bans and audit
+//    trail.
+//
+function Moderation(options) {
+  this.file = new JsonFile(options.file);
+
+  var data = this.file.read({});
+
+  this.mutes = data.mutes || {};
+  this.bans = data.bans || {};
+  this.addressBans = data.addressBans || {};
+  this.audit = data.audit || [];
+}
+
+//
+// ## mute `mute(user, minutes, by, reason, callback)`
+//
+// Keeps `user` from sending messages for `minutes`, on behalf of the
+// moderator `by`, and calls back with `(err, mute)`, where `mute` holds the
+// `user`, the time it ends (`until`), `by` and the `reason`, if any. A new
+// mute replaces the current one.
+//
+Moderation.prototype.mute = function (user, minutes, by, reason, callback) {
+  var mute = {
+    user: user,
+    until: Date.now() + minutes * 60 * 1000,
+    by: by,
+    reason: reason || null
+  };
+
+  this.mutes[user] = mute;
+  this.record({ action: 'mute', by: by, user: user, until: mute.until, reason: mute.reason }, function (err) {
+    callback(err, mute);
+  });
+};
+
+//
+// ## unmute `unmute(user, by, callback)`
+//
+// Ends the mute of `user`, if any, and calls back with `(err, ended)`.
+//
+Moderation.prototype.unmute = function (user, by, callback) {
+  if (!current(own(this.mutes, user)))
+    return defer(callback, null, false);
+
+  delete this.mutes[user];
+  this.record({ action: 'unmute', by: by, user: user }, function (err) {
+    callback(err, true);
+  });
+};
+
+//
+// ## muted `muted(user, callback)`
+//
+// Calls back with `(err, mute)`, where `mute` is the current mute of `user`,
+// like `mute` passes, or `null`.
+//
+Moderation.prototype.muted = function (user, callback) {
+  defer(callback, null, current(own(this.mutes, user)));
+};
+
+//
+// ## ban `ban(target, by, reason, callback)`
+//
+// Bans the account `target.user`, along with the network `addresses` it is
+// connected from, or only the address `target.address`, on behalf of the
+// admin `by`. Calls back with `(err, ban)`, where `ban` holds the `user` or
+// `address`, the `addresses` banned with an account, `by`, the `reason` and
+// the `time`.
+//
+Moderation.prototype.ban = function (target, by, reason, callback) {
+  var self = this;
+  var ban = {
+    user: target.user || null,
+    address: target.user ? null : target.address,
+    addresses: target.user ? target.addresses || [] : [],
+    by: by,
+    reason: reason || null,
+    time: Date.now()
+  };
+
+  if (ban.user)
+    this.bans[ban.user] = ban;
+
+  (ban.user ? ban.addresses : [ban.address]).forEach(function (address) {
+    self.addressBans[address] = ban;
+  });
+
+  this.record({ action: 'ban', by: by, user: ban.user, address: ban.address, addresses: ban.addresses, reason: ban.reason }, function (err) {
+    callback(err, ban);
+  });
+};
+
+//
+// ## unban `unban(target, by, callback)`
+//
+// Lifts the ban of the account `target.user`, and of the addresses banned
+// with it, or of the address `target.address`. Calls back with
+// `(err, lifted)`.
+//
+Moderation.prototype.unban = function (target, by, callback) {
+  var self = this;
+  var ban = target.user ? own(this.bans, target.user) : own(this.addressBans, target.address);
+
+  if (!ban)
+    return defer(callback, null, false);
+
+  if (ban.user)
+    delete this.bans[ban.user];
+
+  // Addresses banned again since, on their own or with another account,
+  // stay banned.
+  (ban.user ? ban.addresses : [ban.address]).forEach(function (address) {
+    var other = own(self.addressBans, address);
+
+    if (other && other.user === ban.user)
+      delete self.addressBans[address];
+  });
+
+  this.record({ action: 'unban', by: by, user: ban.user, address: ban.address }, function (err) {
+    callback(err, true);
+  });
+};
+
+//
+// ## banned `banned(user, address, callback)`
+//
+// Calls back with `(err, ban)`, where `ban` keeps out the account `user` or
+// the network `address`, like `ban` passes, or is `null`.
+//
+Moderation.prototype.banned = function (user, address, callback) {
+  defer(callback, null, own(this.bans, user) || own(this.addressBans, address));
+};
+
+//
+// ## record `record(entry, callback)`
+//
+// Adds `entry` to the audit trail with the current `time`, and calls back
+// with `(err)`. It names the `action` and the user who took it (`by`), and
+// what it applied to.
+//
+Moderation.prototype.record = function (entry, callback) {
+  entry.time = Date.now();
+
+  this.audit.push(entry);
+
+  if (this.audit.length > AUDIT_LIMIT)
+    this.audit.splice(0, this.audit.length - AUDIT_LIMIT);
+
+  this.save(callback);
+};
+
+//
+// ## log `log(options, callback)`
+//
+// Calls back with `(err, entries)`, where `entries` holds up to
+// `options.limit` audit entries, newest first, older than the `options.before`
+// time if given.
+//
+Moderation.prototype.log = function (options, callback) {
+  var entries = this.audit.filter(function (entry) {
+    return options.before == null || entry.time < options.before;
+  });
+
+  defer(callback, null, entries.slice(-options.limit).reverse());
+};
+
+//
+// Mutes which ended are dropped whenever the file is saved.
+//
+Moderation.prototype.save = function (callback) {
+  var self = this;
+  var now = Date.now();
+
+  Object.keys(this.mutes).forEach(function (user) {
+    if (self.mutes[user].until <= now)
+      delete self.mutes[user];
+  });
+
+  this.file.write({
+    mutes: this.mutes,
+    bans: this.bans,
+    addressBans: this.addressBans,
+    audit: this.audit
+  }, callback);
+};
+
+function current(mute) {
+  return mute && mute.until > Date.now() ? mute : null;
+}
+
+module.exports = Moderation;
@@ -0,0 +1,46 @@
+//
+// # Outbox
+//
+// Stands in for an email service: messages meant for users, such as password
+// reset links, are appended to a local file or printed to the console for an
+// administrator to pass on.
+//
+var fs = require('fs');
+
+//
+// ## Outbox `Outbox(options)`
+//
+// Creates a new outbox with the following options:
+//  * `file` - The path of the file to append messages to. If not set, they are
+//    printed to the console.
+//
+function Outbox(options) {
+  this.file = options && options.file;
+}
+
+//
+// ## send `send(mail, callback)`
+//
+// Delivers `mail`, an object with `to`, `subject` and `text`, and calls back
+// with `(err)`.
+//
+Outbox.prototype.send = function (mail, callback) {
+  var text = [
+    'Date: ' + new Date().toUTCString(),
+    'To: ' + mail.to,
+    'Subject: ' + mail.subject,
+    '',
+    mail.text,
+    '',
+    ''
+  ].join('\n');
+
+  if (!this.file) {
+    console.log(text);
+    return process.nextTick(callback);
+  }
+
+  fs.appendFile(this.file, text, callback);
+};
+
+module.exports = Outbox;
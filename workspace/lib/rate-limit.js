@@ -0,0 +1,81 @@
+//
+// # RateLimiter
+//
+// Token buckets limiting how often the chat server accepts each kind of event,
+// from a single connection and from a user on all their connections. A bucket
+// holds up to `burst` tokens and gains `perSecond` of them back every second;
+// each event takes one, and is refused when there is none left.
+//
+
+//
+// ## RateLimiter `RateLimiter(limits)`
+//
+// Creates a new rate limiter from `limits`, which maps event names to their
+// limits, and `*` to those of the events not listed. Each event has limits
+// by kind of key, e.g. `socket` and `user`, given as a `burst` and a
+// `perSecond` rate.
+//
+function RateLimiter(limits) {
+  this.limits = limits;
+  this.buckets = Object.create(null);
+}
+
+//
+// ## take `take(event, keys)`
+//
+// Takes a token for `event` from the buckets of each of `keys`, which maps
+// kinds of keys to their values, e.g. `{ socket: id, user: name }`. Returns 0
+// if they all had one, or else how many milliseconds until they will, without
+// taking any.
+//
+RateLimiter.prototype.take = function (event, keys) {
+  var self = this;
+  var limits = this.limits[event] || this.limits['*'] || {};
+  var now = Date.now();
+  var wait = 0;
+
+  var buckets = Object.keys(keys).filter(function (kind) {
+    return limits[kind] && keys[kind] != null;
+  }).map(function (kind) {
+    var limit = limits[kind];
+    var key = kind + '\n' + keys[kind] + '\n' + event;
+    var bucket = self.buckets[key] || { tokens: limit.burst, time: now, limit: limit };
+
+    bucket.tokens = Math.min(limit.burst, bucket.tokens + (now - bucket.time) / 1000 * limit.perSecond);
+    bucket.time = now;
+    self.buckets[key] = bucket;
+
+    if (bucket.tokens < 1)
+      wait = Math.max(wait, Math.ceil((1 - bucket.tokens) / limit.perSecond * 1000));
+
+    return bucket;
+  });
+
+  if (wait)
+    return wait;
+
+  buckets.forEach(function (bucket) {
+    bucket.tokens--;
+  });
+
+  return 0;
+};
+
+//
+// ## sweep `sweep()`
+//
+// Forgets the buckets which have filled up again, as new ones would be the
+// same. Meant to be called every now and then to save memory.
+//
+RateLimiter.prototype.sweep = function () {
+  var now = Date.now();
+
+  for (var key in this.buckets) {
+    var bucket = this.buckets[key];
+
+    if (bucket.tokens + (now - bucket.time) / 1000 * bucket.limit.perSecond >= bucket.limit.burst)
+      delete this.buckets[key];
+  }
+};
+
+module.exports = RateLimiter;
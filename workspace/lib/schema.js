@@ -0,0 +1,209 @@
+//
+// # Schema
+//
+// Describes the payloads of client events, to validate and clean them up
+// before they are handled. A schema is a function of a value, built by the
+// functions below, which returns the value to use and reports what is wrong
+// with it. Strings are normalized (see `lib/text.js`), numbers must be
+// numbers rather than strings, and object fields not in the schema are
+// dropped. Values are required unless their schema is `optional`; `null`
+// counts as missing.
+//
+var text = require('./text');
+
+//
+// ## validate `validate(schema, value)`
+//
+// Returns `{ value, errors }`, where `value` is the cleaned up `value` and
+// `errors` lists what is wrong with it, if anything, as objects holding the
+// path of the `field` (`null` for the value itself) and a `message`.
+//
+function validate(schema, value) {
+  var errors = [];
+
+  value = schema(value, null, errors);
+
+  return { value: value, errors: errors };
+}
+
+//
+// ## string `string(options)`
+//
+// A single line of text, without control characters or surrounding spaces,
+// of at most `options.max` characters. It must match `options.pattern`, if
+// given, or else fails with `options.message`.
+//
+function string(options) {
+  return check(options, function (value, field, errors) {
+    if (typeof value !== 'string')
+      return fail(errors, field, 'must be a string');
+
+    value = text.normalizeLine(value);
+
+    if (!value && !options.optional)
+      return fail(errors, field, 'is required');
+
+    if (options.max && value.length > options.max)
+      return fail(errors, field, 'must be at most ' + options.max + ' characters long');
+
+    if (value && options.pattern && !options.pattern.test(value))
+      return fail(errors, field, options.message || 'is invalid');
+
+    return value || undefined;
+  });
+}
+
+//
+// ## message `message(options)`
+//
+// The text of a message, sanitized like `sanitize` in `lib/text.js` does, of
+// at most `options.max` characters once sanitized.
+//
+function message(options) {
+  return check(options, function (value, field, errors) {
+    if (typeof value !== 'string')
+      return fail(errors, field, 'must be a string');
+
+    value = text.sanitize(value);
+
+    if (!value && !options.optional)
+      return fail(errors, field, 'is required');
+
+    if (options.max && value.length > options.max)
+      return fail(errors, field, 'must be at most ' + options.max + ' characters long');
+
+    return value;
+  });
+}
+
+//
+// ## number `number(options)`
+//
+// A finite number from `options.min` to `options.max`, both optional, which
+// must be an integer if `options.integer` is set.
+//
+function number(options) {
+  return check(options, function (value, field, errors) {
+    if (typeof value !== 'number' || !isFinite(value))
+      return fail(errors, field, 'must be a number');
+
+    if (options.integer && value % 1 !== 0)
+      return fail(errors, field, 'must be a whole number');
+
+    if (options.min != null && value < options.min)
+      return fail(errors, field, 'must be at least ' + options.min);
+
+    if (options.max != null && value > options.max)
+      return fail(errors, field, 'must be at most ' + options.max);
+
+    return value;
+  });
+}
+
+//
+// ## boolean `boolean(options)`
+//
+// `true` or `false`.
+//
+function boolean(options) {
+  return check(options, function (value, field, errors) {
+    if (typeof value !== 'boolean')
+      return fail(errors, field, 'must be true or false');
+
+    return value;
+  });
+}
+
+//
+// ## oneOf `oneOf(values, options)`
+//
+// One of the strings in `values`.
+//
+function oneOf(values, options) {
+  return check(options, function (value, field, errors) {
+    if (values.indexOf(value) === -1)
+      return fail(errors, field, 'must be one of ' + values.join(', '));
+
+    return value;
+  });
+}
+
+//
+// ## array `array(item, options)`
+//
+// A list of at most `options.max` values, each matching the schema `item`.
+//
+function array(item, options) {
+  return check(options, function (value, field, errors) {
+    if (!Array.isArray(value))
+      return fail(errors, field, 'must be a list');
+
+    if (options.max && value.length > options.max)
+      return fail(errors, field, 'must have at most ' + options.max + ' items');
+
+    return value.map(function (value, i) {
+      return item(value, (field || '') + '[' + i + ']', errors);
+    });
+  });
+}
+
+//
+// ## object `object(fields, options)`
+//
+// An object with the fields described by the schemas in `fields`, and no
+// others. An `optional` object which is missing counts as empty.
+//
+function object(fields, options) {
+  options = options || {};
+
+  return function (value, field, errors) {
+    if (value == null && options.optional)
+      value = {};
+
+    if (value == null || typeof value !== 'object' || Array.isArray(value))
+      return fail(errors, field, 'must be an object');
+
+    var result = {};
+
+    Object.keys(fields).forEach(function (key) {
+      var cleaned = fields[key](value[key], field ? field + '.' + key : key, errors);
+
+      if (cleaned !== undefined)
+        result[key] = cleaned;
+    });
+
+    return result;
+  };
+}
+
+//
+// Wraps the schema function `validate`, which only receives values which
+// are not missing.
+//
+function check(options, validate) {
+  options = options || {};
+
+  return function (value, field, errors) {
+    if (value == null) {
+      if (!options.optional)
+        fail(errors, field, 'is required');
+
+      return undefined;
+    }
+
+    return validate(value, field, errors);
+  };
+}
+
+function fail(errors, field, message) {
+  errors.push({ field: field, message: message });
+}
+
+exports.validate = validate;
+exports.string = string;
+exports.message = message;
+exports.number = number;
+exports.boolean = boolean;
+exports.oneOf = oneOf;
+exports.array = array;
+exports.object = object;
@@ -0,0 +1,384 @@
+//
+// # Store
+//
+// Pluggable message storage for the chat server. Every store exposes the same
+// callback-style interface:
+//
+//  * `append(message, callback)` - Assigns `message` an increasing numeric `id`
+//    and a `time` stamp, saves it and calls back with `(err, message)`.
+//  * `history(options, callback)` - Calls back with `(err, page)` where
+//    `page.messages` holds up to `options.limit` messages of `options.room`
+//    or of the private `options.conversation` older than the `options.before`
+//    id (the newest ones if omitted), oldest first, and `page.cursor` is the
+//    `before` value for the next page, or `null`. With `options.after`
+//    instead, the page holds the oldest messages newer than that id, and
+//    `page.cursor` is the `after` value for the next page. Replies to a
+//    thread, which have the id of their first message as `parent`, are only
+//    found when `options.parent` is that id.
+//  * `find(id, callback)` - Calls back with `(err, message)`, where `message`
+//    is `null` if there is none with that `id`.
+//  * `update(id, changes, callback)` - Copies the fields of `changes` onto
+//    the message with that `id`, saves it and calls back with
+//    `(err, message)`, like `find`.
+//
+var path = require('path');
+
+var LogFile = require('./log-file');
+
+//
+// ## MemoryStore `MemoryStore(options)`
+//
+// Keeps messages in process memory only. Accepts the following options:
+//  * `limit` - The maximum number of messages to keep, all rooms and
+//    conversations together, oldest are dropped first. 1000 by default.
+//
+function MemoryStore(options) {
+  options = options || {};
+
+  this.limit = options.limit || 1000;
+  this.messages = [];
+  this.lastId = 0;
+}
+
+MemoryStore.prototype.append = function (message, callback) {
+  message.id = ++this.lastId;
+  message.time = Date.now();
+
+  this.messages.push(message);
+
+  if (this.messages.length > this.limit)
+    this.messages.splice(0, this.messages.length - this.limit);
+
+  this.save(message, function (err) {
+    callback(err, message);
+  });
+};
+
+MemoryStore.prototype.history = function (options, callback) {
+  var limit = pageLimit(options);
+  var page = pageOf(this.search(options, limit), limit, options);
+
+  process.nextTick(function () {
+    callback(null, page);
+  });
+};
+
+//
+// Returns the messages in memory which `options` asks for, oldest first, one
+// more than `limit` if there are more.
+//
+MemoryStore.prototype.search = function (options, limit) {
+  var found = [];
+  var i;
+
+  if (options.after != null) {
+    for (i = 0; i < this.messages.length && found.length <= limit; i++) {
+      if (matches(this.messages[i], options))
+        found.push(this.messages[i]);
+    }
+  } else {
+    for (i = this.messages.length - 1; i >= 0 && found.length <= limit; i--) {
+      if (matches(this.messages[i], options))
+        found.unshift(this.messages[i]);
+    }
+  }
+
+  return found;
+};
+
+MemoryStore.prototype.find = function (id, callback) {
+  var message = this.messages[this.indexOf(id)] || null;
+
+  process.nextTick(function () {
+    callback(null, message);
+  });
+};
+
+MemoryStore.prototype.update = function (id, changes, callback) {
+  var message = this.messages[this.indexOf(id)];
+
+  if (!message) {
+    return process.nextTick(function () {
+      callback(null, null);
+    });
+  }
+
+  assign(message, changes);
+
+  this.save(message, function (err) {
+    callback(err, message);
+  });
+};
+
+//
+// Messages are kept in `id` order, so they are found by binary search.
+// Returns -1 if there is no message with that `id`.
+//
+MemoryStore.prototype.indexOf = function (id) {
+  var low = 0;
+  var high = this.messages.length - 1;
+
+  while (low <= high) {
+    var middle = (low + high) >> 1;
+    var found = this.messages[middle].id;
+
+    if (found === id)
+      return middle;
+
+    if (found < id)
+      low = middle + 1;
+    else
+      high = middle - 1;
+  }
+
+  return -1;
+};
+
+//
+// Saves `message`, new or changed, and calls back with `(err)`.
+//
+MemoryStore.prototype.save = function (message, callback) {
+  process.nextTick(callback);
+};
+
+//
+// ## FileStore `FileStore(options)`
+//
+// A `MemoryStore` that survives restarts by appending its messages to a log
+// file, one JSON message per line. Changed messages are appended again, and
+// the last line of each `id` wins. The file keeps every message, while only
+// the latest `limit` stay in memory: older pages, and older messages to find
+// or update, are read from the file. Accepts the `MemoryStore` options plus:
+//  * `file` - The path of the log file, its directory is created if missing.
+//
+function FileStore(options) {
+  MemoryStore.call(this, options);
+
+  // The id of the oldest message in the file.
+  this.first = null;
+
+  this.log = new LogFile(options.file);
+  this.load();
+}
+
+FileStore.prototype = Object.create(MemoryStore.prototype);
+FileStore.prototype.constructor = FileStore;
+
+//
+// Files written before the log was, holding a JSON array of messages, are
+// converted once. Messages saved before they had ids are numbered in file
+// order.
+//
+FileStore.prototype.load = function () {
+  var self = this;
+  var legacy = null;
+
+  this.log.each(function (record) {
+    if (Array.isArray(record))
+      legacy = record;
+    else
+      self.receive(record);
+  });
+
+  if (!legacy)
+    return;
+
+  legacy.forEach(function (message) {
+    if (message.id == null)
+      message.id = self.lastId + 1;
+
+    self.receive(message);
+  });
+
+  this.log.replace(legacy);
+};
+
+//
+// Takes in `message` read from the file: a new one, or a later version of
+// one already read.
+//
+FileStore.prototype.receive = function (message) {
+  if (message.id <= this.lastId) {
+    var index = this.indexOf(message.id);
+
+    if (index !== -1)
+      this.messages[index] = message;
+
+    return;
+  }
+
+  if (this.first === null)
+    this.first = message.id;
+
+  this.lastId = message.id;
+  this.messages.push(message);
+
+  if (this.messages.length > this.limit)
+    this.messages.shift();
+};
+
+FileStore.prototype.history = function (options, callback) {
+  var limit = pageLimit(options);
+  var found = this.search(options, limit);
+  var oldest = this.messages.length ? this.messages[0].id : this.first;
+  var inMemory = oldest === this.first ||
+    (options.after != null ? options.after >= oldest - 1 : found.length > limit);
+
+  if (inMemory) {
+    return process.nextTick(function () {
+      callback(null, pageOf(found, limit, options));
+    });
+  }
+
+  var last = 0;
+
+  found = [];
+
+  this.log.scan(function (message) {
+    if (message.id <= last)
+      return replace(found, message);
+
+    last = message.id;
+
+    if (!matches(message, options))
+      return;
+
+    if (options.after != null) {
+      if (found.length <= limit)
+        found.push(message);
+    } else {
+      found.push(message);
+
+      if (found.length > limit + 1)
+        found.shift();
+    }
+  }, function (err) {
+    if (err)
+      return callback(err);
+
+    callback(null, pageOf(found, limit, options));
+  });
+};
+
+FileStore.prototype.find = function (id, callback) {
+  if (!this.onlyInFile(id))
+    return MemoryStore.prototype.find.call(this, id, callback);
+
+  var found = null;
+
+  this.log.scan(function (message) {
+    if (message.id === id)
+      found = message;
+  }, function (err) {
+    callback(err, err ? null : found);
+  });
+};
+
+FileStore.prototype.update = function (id, changes, callback) {
+  var self = this;
+
+  if (!this.onlyInFile(id))
+    return MemoryStore.prototype.update.call(this, id, changes, callback);
+
+  this.find(id, function (err, message) {
+    if (err || !message)
+      return callback(err, null);
+
+    assign(message, changes);
+
+    self.save(message, function (err) {
+      callback(err, message);
+    });
+  });
+};
+
+//
+// Tells whether the message `id`, if there is one, is too old to be kept in
+// memory.
+//
+FileStore.prototype.onlyInFile = function (id) {
+  return this.messages.length > 0 && id >= this.first && id < this.messages[0].id;
+};
+
+FileStore.prototype.save = function (message, callback) {
+  if (this.first === null)
+    this.first = message.id;
+
+  this.log.append(message, callback);
+};
+
+// Pages hold at least one message, whatever the client asked for.
+function pageLimit(options) {
+  return Math.max(1, Math.floor(options.limit) || 50);
+}
+
+//
+// Returns the page of the messages `found` for `options`, which are one more
+// than `limit` if there are more.
+//
+function pageOf(found, limit, options) {
+  if (options.after != null) {
+    return {
+      messages: found.slice(0, limit),
+      cursor: found.length > limit ? found[limit - 1].id : null
+    };
+  }
+
+  return {
+    messages: found.slice(-limit),
+    cursor: found.length > limit ? found[1].id : null
+  };
+}
+
+function matches(message, options) {
+  if (options.before != null && message.id >= options.before)
+    return false;
+
+  if (options.after != null && message.id <= options.after)
+    return false;
+
+  return message.room === options.room &&
+    message.conversation === options.conversation &&
+    (message.parent == null ? null : message.parent) === (options.parent == null ? null : options.parent);
+}
+
+function assign(message, changes) {
+  Object.keys(changes).forEach(function (key) {
+    message[key] = changes[key];
+  });
+}
+
+// Puts `message` in place of the one with the same id in `messages`, if any.
+function replace(messages, message) {
+  for (var i = 0; i < messages.length; i++) {
+    if (messages[i].id === message.id)
+      messages[i] = message;
+  }
+}
+
+//
+// ## createStore `createStore(options)`
+//
+// Creates the store named by `options.type`: `memory`, `file` (the default),
+// or the path of a module exporting a store constructor, which receives
+// `options` like the built-in ones.
+//
+function createStore(options) {
+  options = options || {};
+
+  var type = options.type || 'file';
+  var Store;
+
+  if (type === 'memory')
+    Store = MemoryStore;
+  else if (type === 'file')
+    Store = FileStore;
+  else
+    Store = require(path.resolve(type));
+
+  return new Store(options);
+}
+
+exports.MemoryStore = MemoryStore;
+exports.FileStore = FileStore;
+exports.createStore = createStore;
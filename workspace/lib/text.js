@@ -0,0 +1,55 @@
+//
+// # Text
+//
+// Normalizes the text of messages before it is stored. Messages are written
+// in a small subset of Markdown, which clients render; HTML is not part of it
+// and is kept as typed, for clients to escape like any other text. Shorter
+// texts, such as names, are kept to a single line.
+//
+
+// Control characters other than tabs and line breaks.
+var CONTROL = /[\u0000-\u0008\u000b\u000c\u000e-\u001f\u007f-\u009f]/g;
+
+//
+// ## sanitize `sanitize(text)`
+//
+// Returns `text` in Unicode normal form C, with `\n` line breaks, without
+// control characters, trailing spaces or runs of more than one blank line.
+// A code block left open is closed.
+//
+function sanitize(text) {
+  text = String(text);
+
+  if (text.normalize)
+    text = text.normalize('NFC');
+
+  text = text
+    .replace(/\r\n?/g, '\n')
+    .replace(CONTROL, '')
+    .replace(/[ \t]+$/gm, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .replace(/^\n+|\n+$/g, '');
+
+  if ((text.match(/^```/gm) || []).length % 2)
+    text += '\n```';
+
+  return text.replace(/^\s+$/, '');
+}
+
+//
+// ## normalizeLine `normalizeLine(text)`
+//
+// Returns `text` in Unicode normal form C, with spaces for its tabs and line
+// breaks, without other control characters or surrounding spaces.
+//
+function normalizeLine(text) {
+  text = String(text);
+
+  if (text.normalize)
+    text = text.normalize('NFC');
+
+  return text.replace(/[\t\n\r]+/g, ' ').replace(CONTROL, '').trim();
+}
+
+exports.sanitize = sanitize;
+exports.normalizeLine = normalizeLine;
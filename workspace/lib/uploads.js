@@ -0,0 +1,365 @@
+//
+// # Uploads
+//
+// Files attached to messages, kept on local disk along with a thumbnail for
+// images. What is known about them is persisted to a JSON file.
+//
+var crypto = require('crypto');
+var fs = require('fs');
+var path = require('path');
+
+var Jimp = require('jimp');
+
+var JsonFile = require('./json-file');
+var util = require('./util');
+
+var own = util.own;
+var error = util.error;
+
+// The types of files accepted, with the extension they are stored with.
+var TYPES = {
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+  'image/gif': '.gif',
+  'application/pdf': '.pdf',
+  'application/zip': '.zip',
+  'text/plain': '.txt'
+};
+
+// Files of these types must start with these bytes, in hex.
+var SIGNATURES = {
+  'image/png': '89504e47',
+  'image/jpeg': 'ffd8ff',
+  'image/gif': '47494638',
+  'application/pdf': '25504446',
+  'application/zip': '504b0304'
+};
+
+// The largest file accepted, in bytes.
+var MAX_SIZE = 10 * 1024 * 1024;
+
+// Thumbnails fit in a square of this many pixels.
+var THUMBNAIL_SIZE = 240;
+
+// The largest image accepted, in pixels. Images are decoded to make their
+// thumbnail, which takes 4 bytes a pixel whatever the size of the file.
+var MAX_PIXELS = 25 * 1000 * 1000;
+
+//
+// ## Uploads `Uploads(options)`
+//
+// Creates a new upload store with the following options:
+//  * `dir` - The directory the files are kept in, created if missing. They
+//    are described in its `uploads.json` file.
+//
+function Uploads(options) {
+  this.dir = path.resolve(options.dir);
+
+  if (!fs.existsSync(this.dir))
+    fs.mkdirSync(this.dir, { recursive: true });
+
+  this.file = new JsonFile(path.join(this.dir, 'uploads.json'));
+  this.uploads = this.file.read({});
+}
+
+Uploads.MAX_SIZE = MAX_SIZE;
+
+//
+// ## add `add(file, owner, callback)`
+//
+// Keeps the uploaded `file`, given by the `path` of a temporary copy, which is
+// moved, its original `name`, `type` and `size`, on behalf of the user
+// `owner`. Calls back with `(err, upload)`, where `upload` holds the `id`,
+// `name`, `type` and `size` of the file, and whether it has a `thumbnail`.
+// Files too large, images with too many pixels and files of other types are
+// refused, and removed.
+//
+Uploads.prototype.add = function (file, owner, callback) {
+  var self = this;
+  var type = String(file.type || '').split(';')[0].trim().toLowerCase();
+
+  if (!own(TYPES, type))
+    return discard(file, error('Only images, PDF, ZIP and text files can be uploaded', 415), callback);
+
+  if (file.size > MAX_SIZE)
+    return discard(file, error('Files must be at most ' + MAX_SIZE / 1024 / 1024 + ' MB', 413), callback);
+
+  checkSignature(file.path, type, function (err, valid) {
+    if (err)
+      return discard(file, err, callback);
+
+    if (!valid)
+      return discard(file, error('This file is not of the type it claims', 415), callback);
+
+    imageSize(file.path, type, function (err, size) {
+      if (err)
+        return discard(file, err, callback);
+
+      if (size && size.width * size.height > MAX_PIXELS)
+        return discard(file, error('Images must be at most ' + MAX_PIXELS / 1000 / 1000 + ' megapixels', 413), callback);
+
+      keep();
+    });
+  });
+
+  function keep() {
+    var upload = {
+      id: crypto.randomBytes(12).toString('hex'),
+      name: fileName(file.name) || 'file' + TYPES[type],
+      type: type,
+      size: file.size,
+      owner: owner,
+      time: Date.now(),
+      thumbnail: false,
+      attached: false
+    };
+
+    fs.rename(file.path, self.path(upload), function (err) {
+      if (err)
+        return discard(file, err, callback);
+
+      self.makeThumbnail(upload, function () {
+        self.uploads[upload.id] = upload;
+        self.file.write(self.uploads, function (err) {
+          callback(err, upload);
+        });
+      });
+    });
+  }
+};
+
+//
+// ## get `get(id, callback)`
+//
+// Calls back with `(err, upload)`, where `upload` is `null` if there is none
+// with that `id`.
+//
+Uploads.prototype.get = function (id, callback) {
+  var upload = own(this.uploads, String(id)) || null;
+
+  process.nextTick(function () {
+    callback(null, upload);
+  });
+};
+
+//
+// ## attach `attach(ids, callback)`
+//
+// Marks the uploads `ids` as attached to a message, which keeps `sweep` from
+// removing them, and calls back with `(err)`.
+//
+Uploads.prototype.attach = function (ids, callback) {
+  var self = this;
+
+  ids.forEach(function (id) {
+    var upload = own(self.uploads, String(id));
+
+    if (upload)
+      upload.attached = true;
+  });
+
+  this.file.write(this.uploads, callback);
+};
+
+//
+// ## remove `remove(ids, callback)`
+//
+// Removes the uploads `ids` along with their files and thumbnails, which are
+// no longer served, and calls back with `(err)`.
+//
+Uploads.prototype.remove = function (ids, callback) {
+  var self = this;
+  var removed = ids.map(function (id) {
+    return own(self.uploads, String(id));
+  }).filter(Boolean);
+
+  if (!removed.length)
+    return process.nextTick(callback);
+
+  removed.forEach(function (upload) {
+    delete self.uploads[upload.id];
+  });
+
+  this.file.write(this.uploads, function (err) {
+    if (err)
+      return callback(err);
+
+    var files = [];
+
+    removed.forEach(function (upload) {
+      files.push(self.path(upload));
+
+      if (upload.thumbnail)
+        files.push(self.path(upload, true));
+    });
+
+    unlink(files, callback);
+  });
+};
+
+//
+// ## sweep `sweep(age, callback)`
+//
+// Removes the uploads never attached to a message, which were uploaded more
+// than `age` milliseconds ago, and calls back with `(err, count)`. Uploads
+// kept before they were marked as attached are left alone.
+//
+Uploads.prototype.sweep = function (age, callback) {
+  var self = this;
+  var now = Date.now();
+  var ids = Object.keys(this.uploads).filter(function (id) {
+    var upload = self.uploads[id];
+
+    return upload.attached === false && now - upload.time > age;
+  });
+
+  this.remove(ids, function (err) {
+    callback(err, ids.length);
+  });
+};
+
+//
+// ## path `path(upload, thumbnail)`
+//
+// Returns the path of the file of `upload`, or of its thumbnail.
+//
+Uploads.prototype.path = function (upload, thumbnail) {
+  return path.join(this.dir, upload.id + (thumbnail ? '-thumbnail.png' : TYPES[upload.type]));
+};
+
+//
+// Images which cannot be read are kept without a thumbnail.
+//
+Uploads.prototype.makeThumbnail = function (upload, callback) {
+  var self = this;
+
+  if (upload.type.indexOf('image/') !== 0)
+    return process.nextTick(callback);
+
+  Jimp.read(this.path(upload), function (err, image) {
+    if (err)
+      return callback();
+
+    image.scaleToFit(THUMBNAIL_SIZE, THUMBNAIL_SIZE).write(self.path(upload, true), function (err) {
+      upload.thumbnail = !err;
+      callback();
+    });
+  });
+};
+
+function checkSignature(file, type, callback) {
+  var signature = SIGNATURES[type];
+
+  if (!signature)
+    return process.nextTick(callback.bind(null, null, true));
+
+  fs.open(file, 'r', function (err, fd) {
+    if (err)
+      return callback(err);
+
+    var buffer = Buffer.alloc(signature.length / 2);
+
+    fs.read(fd, buffer, 0, buffer.length, 0, function (err, read) {
+      fs.close(fd, function () {
+        callback(err, read === buffer.length && buffer.toString('hex') === signature);
+      });
+    });
+  });
+}
+
+//
+// Calls back with `(err, size)`, where `size` holds the `width` and `height`
+// of the image `file` of `type`, read from its header, or is `null` for other
+// types. Images without a readable size are refused.
+//
+function imageSize(file, type, callback) {
+  if (type.indexOf('image/') !== 0)
+    return process.nextTick(callback.bind(null, null, null));
+
+  fs.readFile(file, function (err, data) {
+    if (err)
+      return callback(err);
+
+    var size = null;
+
+    if (type === 'image/png' && data.length >= 24)
+      size = { width: data.readUInt32BE(16), height: data.readUInt32BE(20) };
+    else if (type === 'image/gif' && data.length >= 10)
+      size = { width: data.readUInt16LE(6), height: data.readUInt16LE(8) };
+    else if (type === 'image/jpeg')
+      size = jpegSize(data);
+
+    if (!size)
+      return callback(error('This image cannot be read', 415));
+
+    callback(null, size);
+  });
+}
+
+//
+// JPEG files give their size in their start of frame segment, after any
+// number of others.
+//
+function jpegSize(data) {
+  var i = 2;
+
+  while (i + 9 < data.length) {
+    if (data[i] !== 0xff)
+      return null;
+
+    var marker = data[i + 1];
+
+    if (marker === 0xff) {
+      i++;
+      continue;
+    }
+
+    if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc)
+      return { width: data.readUInt16BE(i + 7), height: data.readUInt16BE(i + 5) };
+
+    if (marker === 0x01 || marker >= 0xd0 && marker <= 0xd9)
+      i += 2;
+    else
+      i += 2 + data.readUInt16BE(i + 2);
+  }
+
+  return null;
+}
+
+//
+// Keeps the base name of an uploaded file, without characters which could
+// break a `Content-Disposition` header.
+//
+function fileName(name) {
+  return path.basename(String(name || '')).replace(/[\u0000-\u001f\u007f"\\\/]/g, '').slice(0, 100);
+}
+
+//
+// Removes the `files`, those already gone included, and calls back with
+// `(err)`.
+//
+function unlink(files, callback) {
+  var left = files.length;
+  var failed = null;
+
+  if (!left)
+    return process.nextTick(callback);
+
+  files.forEach(function (file) {
+    fs.unlink(file, function (err) {
+      if (err && err.code !== 'ENOENT')
+        failed = err;
+
+      if (--left === 0)
+        callback(failed);
+    });
+  });
+}
+
+function discard(file, err, callback) {
+  fs.unlink(file.path, function () {
+    callback(err);
+  });
+}
+
+module.exports = Uploads;
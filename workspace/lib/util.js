@@ -0,0 +1,44 @@
+//
+// # Util
+//
+// Helpers shared by the modules of the chat server.
+//
+
+//
+// ## own `own(object, key)`
+//
+// Returns the property `key` of `object` if it is its own, so that keys such
+// as `constructor` do not find what `Object.prototype` has, or else `null`.
+//
+function own(object, key) {
+  return key != null && Object.prototype.hasOwnProperty.call(object, key) ? object[key] : null;
+}
+
+//
+// ## defer `defer(callback, err, result)`
+//
+// Calls back with `(err, result)` on the next tick, so that results known
+// right away arrive like those which take I/O.
+//
+function defer(callback, err, result) {
+  process.nextTick(function () {
+    callback(err, result);
+  });
+}
+
+//
+// ## error `error(message, status)`
+//
+// Returns an error caused by the caller's input, which carries the HTTP
+// `status` to answer with.
+//
+function error(message, status) {
+  var err = new Error(message);
+
+  err.status = status;
+  return err;
+}
+
+exports.own = own;
+exports.defer = defer;
+exports.error = error;
@@ -3,6 +3,8 @@
 //
 // A simple chat server using Socket.IO, Express, and Async.
 //
+var crypto = require('crypto');
+var fs = require('fs');
 var http = require('http');
 var path = require('path');
 
@@ -10,71 +12,2138 @@ var async = require('async');
 var socketio = require('socket.io');
 var express = require('express');
 
+var storage = require('./lib/store');
+var Accounts = require('./lib/accounts');
+var Moderation = require('./lib/moderation');
+var RateLimiter = require('./lib/rate-limit');
+var Outbox = require('./lib/outbox');
+var Uploads = require('./lib/uploads');
+var Commands = require('./lib/commands');
+var schema = require('./lib/schema');
+
 //
 // ## SimpleServer `SimpleServer(obj)`
 //
 // Creates a new instance of SimpleServer with the following options:
 //  * `port` - The HTTP port to listen on. If `process.env.PORT` is set, _it overrides this value_.
 //
+// Messages are kept in the store selected by `process.env.STORE` (`file` by
+// default, see `lib/store.js`), written to `process.env.STORE_FILE` or
+// `data/messages.json`. Accounts and sessions go to `process.env.ACCOUNTS_FILE`
+// or `data/accounts.json`; socket connections must pass the `token` of a
+// session from `POST /api/login` in their query string.
+//
+// Password reset links point to the vux app at `process.env.APP_URL` and are
+// written to `process.env.OUTBOX_FILE`, or to the console if it is not set.
+//
+// Files attached to messages are kept in `process.env.UPLOADS_DIR`, or in
+// `data/uploads`.
+//
+// Users are given roles by admins. `process.env.ADMINS` lists the usernames,
+// separated by commas, who are admins whatever their role. The sanctions
+// taken by moderators and admins, and their audit trail, are kept in
+// `process.env.MODERATION_FILE` or `data/moderation.json`.
+//
+// Every event from the clients is rate limited, see `RATE_LIMITS`, which
+// `process.env.RATE_LIMITS` can override by event as JSON, and must have a
+// payload matching its schema in `SCHEMAS`.
+//
+// Messages starting with a slash run commands, see `lib/commands.js`.
+// `process.env.COMMANDS` lists the paths of modules adding more, separated
+// by commas.
+//
 var router = express();
 var server = http.createServer(router);
 var io = socketio.listen(server);
 
 router.use(express.static(path.resolve(__dirname, 'client')));
-var messages = [];
+router.use(express.json());
+
+var accounts = new Accounts({
+  file: process.env.ACCOUNTS_FILE || path.resolve(__dirname, 'data', 'accounts.json'),
+  admins: (process.env.ADMINS || '').split(',').filter(Boolean)
+});
+var moderation = new Moderation({
+  file: process.env.MODERATION_FILE || path.resolve(__dirname, 'data', 'moderation.json')
+});
+var outbox = new Outbox({ file: process.env.OUTBOX_FILE });
+var appUrl = process.env.APP_URL || 'http://localhost:8080';
+var uploads = new Uploads({
+  dir: process.env.UPLOADS_DIR || path.resolve(__dirname, 'data', 'uploads')
+});
+var store = storage.createStore({
+  type: process.env.STORE,
+  file: process.env.STORE_FILE || path.resolve(__dirname, 'data', 'messages.json')
+});
+var commands = new Commands();
+var offenses = Object.create(null);
+var topics = Object.create(null);
 var sockets = [];
+var rooms = {};
+var rosters = {};
+var presence = {};
+var recentSends = Object.create(null);
+var recentOrder = [];
 
-io.on('connection', function (socket) {
-    messages.forEach(function (data) {
-      socket.emit('message', data);
+// The largest number of messages returned by a single `history` request.
+var HISTORY_PAGE = 50;
+
+// Room names are short words, e.g. `lobby` or `release-2`.
+var ROOM_NAME = /^[\w-]{1,32}$/;
+
+// How many sent messages are remembered by their `clientId`, to recognize
+// sends retried by clients which missed the acknowledgement.
+var RECENT_SENDS = 1000;
+
+// Mentions are a username after an `@` which does not follow a word
+// character, e.g. `@mo.eweda`.
+var MENTION = /(^|[^\w.@-])@([a-z0-9][\w.-]{1,31})/gi;
+
+// The largest number of files attached to a message.
+var MAX_ATTACHMENTS = 10;
+
+// Uploads never attached to a message are removed this long after they were
+// uploaded, by a sweep running this often, in milliseconds.
+var UNATTACHED_UPLOAD_AGE = 24 * 60 * 60 * 1000;
+var UPLOAD_SWEEP_INTERVAL = 60 * 60 * 1000;
+
+// An emoji: a pictograph with its variation selector, skin tone or tags, a
+// flag or a keycap.
+var EMOJI = /(?:\p{Extended_Pictographic}(?:\ufe0f|\p{Emoji_Modifier}){0,2}(?:[\u{e0020}-\u{e007e}]{1,6}\u{e007f})?|\p{Regional_Indicator}{2}|[0-9#*]\ufe0f?\u20e3)/u;
+
+// Reactions are a single emoji, or a short sequence of them, which
+// zero-width joiners may join into one. Anything else is text.
+var REACTION = new RegExp('^' + EMOJI.source + '(?:\\u200d?' + EMOJI.source + '){0,7}$', 'u');
+
+// The largest number of different reactions on a message.
+var MAX_REACTIONS = 20;
+
+// Client message ids are opaque strings of up to this length.
+var MAX_CLIENT_ID = 64;
+
+// The longest message text, in characters once sanitized.
+var MAX_TEXT = 4000;
+
+// The largest packet accepted from a client, in bytes. Connections sending
+// larger ones are closed.
+var MAX_PACKET = 64 * 1024;
+
+// Upload ids, see `lib/uploads.js`.
+var UPLOAD_ID = /^[0-9a-f]{24}$/;
+
+// Mutes last this many minutes unless told otherwise, and at most a week.
+var MUTE_MINUTES = 10;
+var MAX_MUTE_MINUTES = 7 * 24 * 60;
+
+// The reasons given for sanctions are kept to this length.
+var MAX_REASON = 200;
+
+// The largest number of audit entries returned by a single `auditLog`
+// request.
+var AUDIT_PAGE = 100;
+
+// IPv4 and IPv6 addresses, as socket.io reports them.
+var ADDRESS = /^[0-9a-f.:]{2,45}$/i;
+
+// How many events of each kind a connection, and a user on all their
+// connections, can send in a `burst`, and how many more `perSecond` after
+// that. Events not listed have the `*` limits.
+var RATE_LIMITS = {
+  '*': {
+    socket: { burst: 20, perSecond: 5 },
+    user: { burst: 40, perSecond: 10 }
+  },
+  message: {
+    socket: { burst: 5, perSecond: 1 },
+    user: { burst: 10, perSecond: 2 }
+  },
+  privateMessage: {
+    socket: { burst: 5, perSecond: 1 },
+    user: { burst: 10, perSecond: 2 }
+  },
+  editMessage: {
+    socket: { burst: 5, perSecond: 0.5 },
+    user: { burst: 10, perSecond: 1 }
+  },
+  react: {
+    socket: { burst: 10, perSecond: 2 },
+    user: { burst: 20, perSecond: 4 }
+  },
+  join: {
+    socket: { burst: 10, perSecond: 1 },
+    user: { burst: 20, perSecond: 2 }
+  }
+};
+
+// Clients over a limit are told at most once in this many milliseconds, and
+// each time counts as an offense. Users who offend `OFFENSES_TO_MUTE` times
+// within `OFFENSE_WINDOW` milliseconds are muted for `OFFENSE_MUTE_MINUTES`.
+var RATE_NOTICE_INTERVAL = 1000;
+var OFFENSES_TO_MUTE = 5;
+var OFFENSE_WINDOW = 60 * 1000;
+var OFFENSE_MUTE_MINUTES = 5;
+
+// How often buckets which filled up again, and offenses which no longer
+// count, are dropped, in milliseconds.
+var RATE_SWEEP_INTERVAL = 60 * 1000;
+
+var limiter = new RateLimiter(rateLimits(process.env.RATE_LIMITS));
+
+setInterval(function () {
+  var now = Date.now();
+
+  limiter.sweep();
+
+  Object.keys(offenses).forEach(function (name) {
+    var times = offenses[name];
+
+    if (now - times[times.length - 1] >= OFFENSE_WINDOW)
+      delete offenses[name];
+  });
+}, RATE_SWEEP_INTERVAL).unref();
+
+setInterval(function () {
+  uploads.sweep(UNATTACHED_UPLOAD_AGE, function (err) {
+    if (err)
+      console.error('Could not remove unattached uploads:', err);
+  });
+}, UPLOAD_SWEEP_INTERVAL).unref();
+
+// The statuses users can choose. Idle users keep theirs, and are told apart
+// by their `idleSince` time.
+var STATUSES = ['online', 'away', 'dnd'];
+
+// The shortest interval, in milliseconds, between two `typing` notifications
+// of a socket about the same room or conversation.
+var TYPING_THROTTLE = 2000;
+
+// The longest room topic, in characters.
+var MAX_TOPIC = 200;
+
+//
+// The payload of every client event, see `lib/schema.js`. Events whose
+// payload does not match are refused, see `on` in the connection handler;
+// handlers receive the cleaned up payload.
+//
+var SCHEMAS = {
+  presence: schema.object({
+    status: schema.oneOf(STATUSES, { optional: true }),
+    idle: schema.boolean({ optional: true })
+  }),
+  join: roomName(),
+  leave: roomName(),
+  message: schema.object({
+    room: roomName(),
+    text: schema.message({ max: MAX_TEXT, optional: true }),
+    clientId: schema.string({ max: MAX_CLIENT_ID, optional: true }),
+    parent: messageId(true),
+    attachments: attachmentIds()
+  }),
+  privateMessage: schema.object({
+    to: username(),
+    text: schema.message({ max: MAX_TEXT, optional: true }),
+    clientId: schema.string({ max: MAX_CLIENT_ID, optional: true }),
+    attachments: attachmentIds()
+  }),
+  typing: schema.object({
+    room: roomName(true),
+    to: username(true)
+  }),
+  stopTyping: schema.object({
+    room: roomName(true),
+    to: username(true)
+  }),
+  editMessage: schema.object({
+    id: messageId(),
+    text: schema.message({ max: MAX_TEXT })
+  }),
+  deleteMessage: schema.object({
+    id: messageId()
+  }),
+  kick: schema.object({
+    user: username(),
+    room: roomName(),
+    reason: reason()
+  }),
+  mute: schema.object({
+    user: username(),
+    minutes: schema.number({ min: 1, max: MAX_MUTE_MINUTES, optional: true }),
+    reason: reason()
+  }),
+  unmute: schema.object({
+    user: username()
+  }),
+  ban: schema.object({
+    user: username(true),
+    address: address(),
+    addresses: schema.boolean({ optional: true }),
+    reason: reason()
+  }),
+  unban: schema.object({
+    user: username(true),
+    address: address()
+  }),
+  setRole: schema.object({
+    user: username(),
+    role: schema.oneOf(['moderator', 'user'])
+  }),
+  auditLog: schema.object({
+    before: schema.number({ min: 0, optional: true }),
+    limit: schema.number({ integer: true, min: 1, optional: true })
+  }, { optional: true }),
+  react: schema.object({
+    id: messageId(),
+    emoji: schema.string({ pattern: REACTION, message: 'must be an emoji' })
+  }),
+  unreact: schema.object({
+    id: messageId(),
+    emoji: schema.string({ pattern: REACTION, message: 'must be an emoji' })
+  }),
+  history: schema.object({
+    room: roomName(true),
+    'with': username(true),
+    parent: messageId(true),
+    before: messageId(true),
+    after: schema.number({ integer: true, min: 0, optional: true }),
+    limit: schema.number({ integer: true, min: 1, optional: true })
+  }, { optional: true })
+};
+
+function roomName(optional) {
+  return schema.string({ pattern: ROOM_NAME, message: 'must be 1 to 32 letters, digits, dashes or underscores', optional: optional });
+}
+
+function username(optional) {
+  return schema.string({ pattern: Accounts.USERNAME, message: 'must be a username', optional: optional });
+}
+
+function messageId(optional) {
+  return schema.number({ integer: true, min: 1, optional: optional });
+}
+
+function attachmentIds() {
+  return schema.array(schema.string({ pattern: UPLOAD_ID, message: 'must be an upload id' }), { max: MAX_ATTACHMENTS, optional: true });
+}
+
+function reason() {
+  return schema.string({ max: MAX_REASON, optional: true });
+}
+
+function address() {
+  return schema.string({ pattern: ADDRESS, message: 'must be an IP address', optional: true });
+}
+
+//
+// The commands every user can run. They are acknowledged like messages,
+// with `(err, result)`, see `runCommand`.
+//
+commands.register({
+  name: 'help',
+  usage: '[command]',
+  description: 'Lists the commands you can run, or tells how to use one.',
+  run: function (args, context, callback) {
+    var available = availableCommands(context.role);
+    var listed = available.filter(function (command) {
+      return !args || command.name === args.replace(/^\//, '').toLowerCase();
+    });
+
+    if (!listed.length)
+      return callback('Unknown command ' + args + ', type /help for the list');
+
+    callback(null, {
+      reply: listed.map(function (command) {
+        return usageOf(command) + ' - ' + command.description;
+      }).join('\n')
+    });
+  }
+});
+
+commands.register({
+  name: 'me',
+  usage: '<action>',
+  description: 'Sends an action, e.g. /me waves.',
+  run: function (args, context, callback) {
+    if (!args)
+      return callback('Usage: ' + usageOf(this));
+
+    context.send({ text: args, action: true }, function (err, message) {
+      callback(err, { message: message });
+    });
+  }
+});
+
+//
+// Topics are kept until the server restarts, even while their room is
+// empty.
+//
+commands.register({
+  name: 'topic',
+  usage: '[text | -]',
+  description: 'Shows the topic of the room, sets it, or clears it with -.',
+  run: function (args, context, callback) {
+    var room = context.room;
+    var topic = topics[room];
+
+    if (!room)
+      return callback('Only rooms have a topic');
+
+    if (!args) {
+      return callback(null, {
+        reply: topic ? 'The topic of #' + room + ' is: ' + topic.text + ' (set by ' + topic.by + ')' : '#' + room + ' has no topic'
+      });
+    }
+
+    var result = schema.validate(schema.string({ max: MAX_TOPIC }), args);
+
+    if (result.errors.length)
+      return callback(invalidPayload('topic', result.errors).message);
+
+    mayPost(context.user, function (err) {
+      if (err)
+        return callback(err);
+
+      topic = {
+        room: room,
+        text: args === '-' ? null : result.value,
+        by: context.user,
+        time: Date.now()
+      };
+
+      if (topic.text)
+        topics[room] = topic;
+      else
+        delete topics[room];
+
+      broadcast('topic', topic, room);
+      callback(null, { topic: topic });
+    });
+  }
+});
+
+commands.register({
+  name: 'join',
+  usage: '<room>',
+  description: 'Joins a room, e.g. /join random.',
+  run: function (args, context, callback) {
+    var result = schema.validate(roomName(), args.replace(/^#/, ''));
+    var room = result.value;
+
+    if (result.errors.length)
+      return callback(invalidPayload('join', result.errors).message);
+
+    if (roomsOf(context.socket).indexOf(room) === -1)
+      join(context.socket, room);
+
+    callback(null, { room: room });
+  }
+});
+
+commands.register({
+  name: 'msg',
+  usage: '<user> <text>',
+  description: 'Sends a direct message to a user.',
+  run: function (args, context, callback) {
+    var match = /^(\S+)\s+([\s\S]+)$/.exec(args);
+
+    if (!match)
+      return callback('Usage: ' + usageOf(this));
+
+    sendAs(context.socket, 'privateMessage', { to: match[1], text: match[2] }, function (err, message) {
+      callback(err, { message: message });
+    });
+  }
+});
+
+//
+// Nicknames are shown instead of usernames, in rosters and with the
+// messages sent since. Users are still mentioned and messaged by username.
+//
+commands.register({
+  name: 'nick',
+  usage: '[nickname | -]',
+  description: 'Shows your nickname, changes it, or removes it with -.',
+  run: function (args, context, callback) {
+    var user = context.user;
+
+    if (!args) {
+      return context.socket.get('nick', function (err, nick) {
+        callback(null, { reply: nick ? 'You are known as ' + nick : 'You have no nickname, you are known as ' + user });
+      });
+    }
+
+    accounts.setNick(user, args === '-' ? null : args, function (err, nick) {
+      if (err)
+        return callback(err);
+
+      socketsOf(user).forEach(function (socket) {
+        socket.set('nick', nick);
+        roomsOf(socket).forEach(function (room) {
+          updateRoster(room);
+        });
+      });
+
+      callback(null, { nick: nick, reply: nick ? 'You are now known as ' + nick : 'You are known as ' + user + ' again' });
+    });
+  }
+});
+
+(process.env.COMMANDS || '').split(',').forEach(function (file) {
+  if (file.trim())
+    require(path.resolve(file.trim()))(commands);
+});
+
+router.post('/api/login', function (req, res) {
+  accounts.login(req.body.username, req.body.password, function (err, session) {
+    if (err)
+      return fail(res, err);
+
+    res.json(session);
+  });
+});
+
+router.post('/api/register', function (req, res) {
+  accounts.create(req.body, function (err, username) {
+    if (err)
+      return fail(res, err);
+
+    accounts.login(username, req.body.password, function (err, session) {
+      if (err)
+        return fail(res, err);
+
+      res.json(201, session);
+    });
+  });
+});
+
+//
+// Answers the same whether or not the account exists, so that it cannot be
+// used to find out who has one.
+//
+router.post('/api/password/forgot', function (req, res) {
+  accounts.requestReset(req.body.login, function (err, reset) {
+    if (err)
+      return fail(res, err);
+
+    if (!reset)
+      return res.json({});
+
+    outbox.send({
+      to: reset.email || reset.username + ' (no email on file)',
+      subject: 'Reset your chat password',
+      text: 'Open ' + appUrl + '/#/reset?token=' + reset.token + ' within an hour to choose a new password.'
+    }, function (err) {
+      if (err)
+        return fail(res, err);
+
+      res.json({});
+    });
+  });
+});
+
+router.post('/api/password/reset', function (req, res) {
+  accounts.resetPassword(req.body.token, req.body.password, function (err, username) {
+    if (err)
+      return fail(res, err);
+
+    sockets.filter(function (socket) {
+      return socket.handshake.username === username;
+    }).forEach(function (socket) {
+      socket.disconnect();
+    });
+
+    res.json({ username: username });
+  });
+});
+
+//
+// Uploads the request body as a file named by the `name` query parameter,
+// of the request's `Content-Type`, and answers with the attachment to
+// reference in messages, see `attachment(upload)`.
+//
+router.post('/api/uploads', authenticate, receiveFile, function (req, res) {
+  uploads.add(req.file, req.username, function (err, upload) {
+    if (err)
+      return fail(res, err);
+
+    res.json(201, attachment(upload));
+  });
+});
+
+//
+// Files are served to anyone who knows their random id, like the members of
+// the rooms they were sent to. Only images are shown in the browser, other
+// files are downloaded.
+//
+router.get('/uploads/:id', function (req, res) {
+  serveUpload(req, res, false);
+});
+
+router.get('/uploads/:id/thumbnail', function (req, res) {
+  serveUpload(req, res, true);
+});
+
+router.post('/api/logout', authenticate, function (req, res) {
+  accounts.logout(req.token, function (err) {
+    if (err)
+      return fail(res, err);
+
+    sockets.filter(function (socket) {
+      return socket.handshake.query.token === req.token;
+    }).forEach(function (socket) {
+      socket.disconnect();
+    });
+
+    res.json({});
+  });
+});
+
+io.set('destroy buffer size', MAX_PACKET);
+
+//
+// Connections of banned accounts, or from banned addresses, are refused like
+// those without a valid session.
+//
+io.set('authorization', function (handshake, callback) {
+  accounts.session(handshake.query.token, function (err, username) {
+    if (err || !username)
+      return callback(err, false);
+
+    async.parallel([
+      accounts.roleOf.bind(accounts, username),
+      accounts.nickOf.bind(accounts, username),
+      moderation.banned.bind(moderation, username, addressOf(handshake))
+    ], function (err, results) {
+      if (err)
+        return callback(err);
+
+      handshake.username = username;
+      handshake.role = results[0];
+      handshake.nick = results[1];
+      callback(null, !results[2]);
     });
+  });
+});
+
+io.on('connection', function (socket) {
+    var typingAt = {};
+    var limitedAt = 0;
 
     sockets.push(socket);
+    socket.set('name', socket.handshake.username);
+    socket.set('role', socket.handshake.role);
+    socket.set('nick', socket.handshake.nick);
+    socket.emit('role', { role: socket.handshake.role });
+
+    presence[socket.id] = {
+      status: 'online',
+      idleSince: null,
+      lastSeen: Date.now()
+    };
 
     socket.on('disconnect', function () {
       sockets.splice(sockets.indexOf(socket), 1);
-      updateRoster();
+
+      roomsOf(socket).forEach(function (room) {
+        leave(socket, room);
+      });
+
+      delete presence[socket.id];
+    });
+
+    //
+    // Listens to the client event `event` within its rate limits. Events
+    // over them are dropped, and their acknowledgement, if any, called with
+    // an error. The client is also sent `rateLimited`, with the `event` and
+    // how many milliseconds to wait before sending it again (`retryAfter`).
+    //
+    // The payload of the event is then validated against its schema, and
+    // replaced with the cleaned up one. Invalid payloads are refused with an
+    // error object, see `invalidPayload`, passed to their acknowledgement or
+    // else sent with the `invalidPayload` event.
+    //
+    function on(event, handler) {
+      socket.on(event, function () {
+        var args = Array.prototype.slice.call(arguments);
+        var callback = typeof args[args.length - 1] === 'function' ? args[args.length - 1] : null;
+        var wait = limiter.take(event, { socket: socket.id, user: socket.handshake.username });
+
+        if (wait) {
+          if (callback)
+            callback('You are sending too fast, try again in ' + Math.ceil(wait / 1000) + ' s');
+
+          if (Date.now() - limitedAt >= RATE_NOTICE_INTERVAL) {
+            limitedAt = Date.now();
+            socket.emit('rateLimited', { event: event, retryAfter: wait });
+            offend(socket.handshake.username);
+          }
+          return;
+        }
+
+        if (SCHEMAS[event]) {
+          var payload = args[0] === callback ? undefined : args[0];
+          var result = schema.validate(SCHEMAS[event], payload);
+
+          if (result.errors.length) {
+            if (callback)
+              return callback(invalidPayload(event, result.errors));
+
+            return socket.emit('invalidPayload', invalidPayload(event, result.errors));
+          }
+
+          if (args[0] === callback)
+            args.unshift(result.value);
+          else
+            args[0] = result.value;
+        }
+
+        handler.apply(this, args);
+      });
+    }
+
+    //
+    // Updates the `status` this user chose, and whether they are `idle`, as
+    // detected by the client.
+    //
+    on('presence', function (state) {
+      var current = presence[socket.id];
+
+      if (STATUSES.indexOf(state.status) !== -1 && state.status !== current.status) {
+        current.status = state.status;
+        current.lastSeen = Date.now();
+      }
+
+      if (state.idle === true && !current.idleSince)
+        current.idleSince = Date.now();
+
+      if (state.idle === false) {
+        current.idleSince = null;
+        current.lastSeen = Date.now();
+      }
+
+      roomsOf(socket).forEach(function (room) {
+        updateRoster(room);
+      });
+    });
+
+    on('join', function (room, callback) {
+      callback = callback || function () {};
+
+      if (roomsOf(socket).indexOf(room) === -1)
+        join(socket, room);
+
+      callback(null, room);
+    });
+
+    on('leave', function (room, callback) {
+      callback = callback || function () {};
+
+      if (roomsOf(socket).indexOf(room) === -1)
+        return callback('Not in room ' + room);
+
+      leave(socket, room);
+      callback(null, room);
+    });
+
+    on('listRooms', function (callback) {
+      if (typeof callback === 'function')
+        callback(null, listRooms());
+    });
+
+    //
+    // Both kinds of messages are acknowledged with `(err, message)`, where
+    // `message` has its server-assigned `id` and `time`. Clients may give
+    // each message a `clientId`, which is sent back with it and makes
+    // retried sends harmless. Texts are stored sanitized, see `lib/text.js`,
+    // and can be up to `MAX_TEXT` characters long.
+    // Messages can have files uploaded by their author attached, given as a
+    // list of upload ids in `attachments`; the text is optional then.
+    //
+    // A room message with the id of another as `parent` is a reply in the
+    // thread that message starts. Its parent is sent again with the number
+    // of `replies` and the time of the `lastReply`.
+    //
+    // The users with an account that a room message mentions as `@name` are
+    // listed in its `mentions`, and sent it with the `mention` event.
+    //
+    // Messages carry the nickname of their author as `nick`, if they have
+    // one. Texts starting with a slash run a command instead, see
+    // `runCommand`, which is acknowledged with its result.
+    //
+    on('message', function (msg, callback) {
+      send(post, msg, callback || function () {});
+    });
+
+    on('privateMessage', function (msg, callback) {
+      send(postPrivate, msg, callback || function () {});
+    });
+
+    //
+    // Sends `msg` with `post` or `postPrivate`, unless its text is a command
+    // to run instead. Texts starting with `//` are sent as messages starting
+    // with a single slash.
+    //
+    function send(post, msg, callback) {
+      if (commands.parse(msg.text))
+        return runCommand(socket, msg, callback);
+
+      if (/^\/\//.test(msg.text || ''))
+        msg.text = msg.text.slice(1);
+
+      post(socket, msg, callback);
+    }
+
+    //
+    // Lists the commands this user can run, as their `name`, `usage` and
+    // `description`, for clients to complete them.
+    //
+    on('listCommands', function (callback) {
+      if (typeof callback !== 'function')
+        return;
+
+      socket.get('role', function (err, role) {
+        callback(null, availableCommands(role).map(function (command) {
+          return { name: command.name, usage: command.usage || '', description: command.description };
+        }));
+      });
+    });
+
+    //
+    // Tell the other members of `target.room`, or the user `target.to`, that
+    // this user started or stopped typing.
+    //
+    on('typing', function (target) {
+      notifyTyping('typing', target);
     });
 
-    socket.on('message', function (msg) {
-      var text = String(msg || '');
+    on('stopTyping', function (target) {
+      notifyTyping('stopTyping', target);
+    });
+
+    function notifyTyping(event, target) {
+      var key = target.to != null ? 'to:' + String(target.to).toLowerCase() : 'room:' + target.room;
+      var now = Date.now();
 
-      if (!text)
+      if (target.to == null && roomsOf(socket).indexOf(target.room) === -1)
         return;
 
+      if (event === 'typing') {
+        if (now - (typingAt[key] || 0) < TYPING_THROTTLE)
+          return;
+
+        typingAt[key] = now;
+      } else {
+        if (!typingAt[key])
+          return;
+
+        delete typingAt[key];
+      }
+
       socket.get('name', function (err, name) {
-        var data = {
-          name: name,
-          text: text
-        };
+        if (target.to == null)
+          return broadcast(event, { name: name, room: target.room }, target.room, socket);
+
+        registered(target.to, function (err, to) {
+          if (!err)
+            sendTo(to, event, { name: name, to: to });
+        });
+      });
+    }
+
+    //
+    // Authors can edit and delete their messages, and moderators any room
+    // message. Both are acknowledged with `(err, message)` and sent to
+    // everyone who can see the message with `messageChanged`. Deleted
+    // messages stay in the history as tombstones without text.
+    //
+    on('editMessage', function (msg, callback) {
+      callback = callback || function () {};
+
+      var text = msg.text;
+
+      // Edits update the mentions of room messages, without notifying anyone.
+      async.parallel([
+        mentionsIn.bind(null, text),
+        mayPost.bind(null, socket.handshake.username)
+      ], function (err, results) {
+        if (err)
+          return callback(err);
+
+        change(socket, msg.id, function (message, name, role) {
+          var changes = { text: text, edited: Date.now() };
+
+          if (message.room)
+            changes.mentions = results[0];
+
+          return mayChange(message, name, role) || changes;
+        }, callback);
+      });
+    });
+
+    // The files attached to a deleted message are removed.
+    on('deleteMessage', function (msg, callback) {
+      callback = callback || function () {};
+
+      var attached = [];
+
+      change(socket, msg.id, function (message, name, role) {
+        attached = message.attachments || [];
 
-        broadcast('message', data);
-        messages.push(data);
+        return mayChange(message, name, role) || { text: '', attachments: [], reactions: {}, deleted: Date.now() };
+      }, function (err, message) {
+        if (err)
+          return callback(err);
+
+        uploads.remove(uploadIds(attached), function (err) {
+          if (err)
+            console.error('Could not remove uploads:', err);
+
+          callback(null, message);
+        });
       });
     });
 
-    socket.on('identify', function (name) {
-      socket.set('name', String(name || 'Anonymous'), function (err) {
-        updateRoster();
+    //
+    // Moderators can remove a `user` from a `room`, which they can join
+    // again, and keep them from sending or editing messages for a while.
+    // Admins can also ban accounts, along with the `addresses` they are
+    // connected from if asked, or single network `address`es, and give users
+    // a `role`. Nobody can act on users with the same role or a higher one.
+    // Every action can give a `reason`, is acknowledged with `(err, result)`
+    // and is recorded in the audit trail, which moderators can page through
+    // with `auditLog`.
+    //
+    // Those affected are told with the `kicked`, `muted`, `unmuted`,
+    // `banned` and `role` events. Banned users are disconnected.
+    //
+    on('kick', function (msg, callback) {
+      callback = callback || function () {};
+
+      var user = msg.user;
+      var room = msg.room;
+
+      authorize(socket, 'moderator', user, function (err, name, target) {
+        if (err)
+          return callback(err);
+
+        user = target;
+
+        var kicked = (rooms[room] || []).filter(function (socket) {
+          return socket.handshake.username === user;
+        });
+
+        if (!kicked.length)
+          return callback(user + ' is not in room ' + room);
+
+        var kick = { room: room, user: user, by: name, reason: msg.reason || null };
+
+        kicked.forEach(function (socket) {
+          leave(socket, room);
+          socket.emit('kicked', kick);
+        });
+
+        moderation.record({ action: 'kick', by: name, user: user, room: room, reason: kick.reason }, function (err) {
+          if (err)
+            console.error('Could not record kick:', err);
+
+          callback(null, kick);
+        });
       });
     });
-  });
 
-function updateRoster() {
-  async.map(
-    sockets,
-    function (socket, callback) {
-      socket.get('name', callback);
-    },
-    function (err, names) {
-      broadcast('roster', names);
-    }
-  );
-}
+    on('mute', function (msg, callback) {
+      callback = callback || function () {};
+
+      var user = msg.user;
+      var minutes = msg.minutes || MUTE_MINUTES;
+
+      authorize(socket, 'moderator', user, function (err, name, target) {
+        if (err)
+          return callback(err);
+
+        user = target;
+
+        moderation.mute(user, minutes, name, msg.reason, function (err, mute) {
+          if (err) {
+            console.error('Could not save mute:', err);
+            return callback('Could not mute ' + user);
+          }
+
+          sendTo(user, 'muted', mute);
+          callback(null, mute);
+        });
+      });
+    });
+
+    on('unmute', function (msg, callback) {
+      callback = callback || function () {};
 
-function broadcast(event, data) {
-  sockets.forEach(function (socket) {
-    socket.emit(event, data);
+      var user = msg.user;
+
+      authorize(socket, 'moderator', user, function (err, name, target) {
+        if (err)
+          return callback(err);
+
+        user = target;
+
+        moderation.unmute(user, name, function (err, ended) {
+          if (err) {
+            console.error('Could not save mute:', err);
+            return callback('Could not unmute ' + user);
+          }
+
+          if (!ended)
+            return callback(user + ' is not muted');
+
+          sendTo(user, 'unmuted', { user: user, by: name });
+          callback(null, { user: user });
+        });
+      });
+    });
+
+    on('ban', function (msg, callback) {
+      callback = callback || function () {};
+
+      var user = msg.user || null;
+      var address = msg.address || null;
+
+      if (!user && !address)
+        return callback('A user or an address to ban is required');
+
+      authorize(socket, 'admin', user, function (err, name, account) {
+        if (err)
+          return callback(err);
+
+        user = account;
+
+        var target = user ? { user: user, addresses: [] } : { address: address };
+
+        if (user && msg.addresses) {
+          socketsOf(user).forEach(function (socket) {
+            var from = addressOf(socket.handshake);
+
+            if (from && target.addresses.indexOf(from) === -1)
+              target.addresses.push(from);
+          });
+        }
+
+        var addresses = user ? target.addresses : [address];
+
+        if (addresses.indexOf(addressOf(socket.handshake)) !== -1)
+          return callback('You cannot ban your own address');
+
+        moderation.ban(target, name, msg.reason, function (err, ban) {
+          if (err) {
+            console.error('Could not save ban:', err);
+            return callback('Could not ban ' + (user || address));
+          }
+
+          sockets.filter(function (socket) {
+            return socket.handshake.username === user || addresses.indexOf(addressOf(socket.handshake)) !== -1;
+          }).forEach(function (socket) {
+            socket.emit('banned', { by: name, reason: ban.reason });
+            socket.disconnect();
+          });
+
+          callback(null, ban);
+        });
+      });
+    });
+
+    on('unban', function (msg, callback) {
+      callback = callback || function () {};
+
+      var target = msg.user ? { user: msg.user } : { address: msg.address };
+
+      if (!target.user && !target.address)
+        return callback('A user or an address to unban is required');
+
+      authorize(socket, 'admin', null, function (err, name) {
+        if (err)
+          return callback(err);
+
+        if (!target.user)
+          return unban(name);
+
+        registered(target.user, function (err, user) {
+          if (err)
+            return callback(err);
+
+          target.user = user;
+          unban(name);
+        });
+      });
+
+      function unban(name) {
+        moderation.unban(target, name, function (err, lifted) {
+          if (err) {
+            console.error('Could not save ban:', err);
+            return callback('Could not unban ' + (target.user || target.address));
+          }
+
+          if (!lifted)
+            return callback((target.user || target.address) + ' is not banned');
+
+          callback(null, target);
+        });
+      }
+    });
+
+    on('setRole', function (msg, callback) {
+      callback = callback || function () {};
+
+      var user = msg.user;
+      var role = msg.role;
+
+      authorize(socket, 'admin', user, function (err, name, target) {
+        if (err)
+          return callback(err);
+
+        user = target;
+
+        accounts.setRole(user, role, function (err) {
+          if (err) {
+            console.error('Could not save role:', err);
+            return callback('Could not change the role of ' + user);
+          }
+
+          socketsOf(user).forEach(function (socket) {
+            socket.set('role', role);
+            socket.emit('role', { role: role, by: name });
+            roomsOf(socket).forEach(function (room) {
+              updateRoster(room);
+            });
+          });
+
+          moderation.record({ action: 'setRole', by: name, user: user, role: role }, function (err) {
+            if (err)
+              console.error('Could not record role change:', err);
+
+            callback(null, { user: user, role: role });
+          });
+        });
+      });
+    });
+
+    on('auditLog', function (options, callback) {
+      if (typeof callback !== 'function')
+        return;
+
+      authorize(socket, 'moderator', null, function (err) {
+        if (err)
+          return callback(err);
+
+        moderation.log({
+          before: options.before,
+          limit: Math.min(options.limit || AUDIT_PAGE, AUDIT_PAGE)
+        }, callback);
+      });
+    });
+
+    //
+    // Anyone who can see a message can add or remove an emoji reaction to
+    // it, with `{ id, emoji }`. Messages hold their `reactions` as lists of
+    // the users who reacted, by emoji, and are sent again with
+    // `messageChanged`.
+    //
+    on('react', function (msg, callback) {
+      react(socket, msg, true, callback || function () {});
+    });
+
+    on('unreact', function (msg, callback) {
+      react(socket, msg, false, callback || function () {});
+    });
+
+    //
+    // Pages through the history of `options.room`, or of the private
+    // conversation with the user `options.with`: backwards from `before`,
+    // or forwards from `after` to catch up after a reconnection. Thread
+    // replies are left out, unless `options.parent` is the id of their
+    // thread's first message.
+    //
+    on('history', function (options, callback) {
+      if (typeof callback !== 'function')
+        return;
+
+      socket.get('name', function (err, name) {
+        var query = {
+          before: options.before,
+          after: options.after,
+          limit: Math.min(options.limit || HISTORY_PAGE, HISTORY_PAGE)
+        };
+
+        if (options.with == null) {
+          if (roomsOf(socket).indexOf(options.room) === -1)
+            return callback('Not in room ' + options.room);
+
+          query.room = options.room;
+          query.parent = options.parent;
+
+          return load(query);
+        }
+
+        registered(options.with, function (err, user) {
+          if (err)
+            return callback(err);
+
+          query.conversation = conversation(name, user);
+          load(query);
+        });
+      });
+
+      function load(query) {
+        store.history(query, function (err, page) {
+          if (err) {
+            console.error('Could not load history:', err);
+            return callback('Could not load history');
+          }
+
+          callback(null, page);
+        });
+      }
+    });
+  });
+
+//
+// Express middleware accepting only requests with an `Authorization: Bearer`
+// header holding a valid session token, of an account which is not banned,
+// from an address which is not either. Sets `req.token` and `req.username`.
+//
+function authenticate(req, res, next) {
+  var match = /^Bearer (\w+)$/.exec(req.get('Authorization') || '');
+
+  accounts.session(match && match[1], function (err, username) {
+    if (err)
+      return next(err);
+
+    if (!username)
+      return res.json(401, { error: 'Not logged in' });
+
+    moderation.banned(username, req.ip, function (err, ban) {
+      if (err)
+        return next(err);
+
+      if (ban)
+        return res.json(403, { error: 'You are banned' });
+
+      req.token = match[1];
+      req.username = username;
+      next();
+    });
+  });
+}
+
+//
+// Writes the body of an upload request to a temporary file, described by
+// `req.file` like `Uploads.prototype.add` expects. Bodies over the size limit
+// are refused as soon as they exceed it, without waiting for the rest.
+//
+function receiveFile(req, res, next) {
+  var file = {
+    path: path.join(uploads.dir, crypto.randomBytes(12).toString('hex') + '.tmp'),
+    name: String(req.query.name || ''),
+    type: req.get('Content-Type'),
+    size: 0
+  };
+  var out = fs.createWriteStream(file.path);
+  var failed = false;
+
+  function abort(err) {
+    if (failed)
+      return;
+
+    failed = true;
+    req.unpipe(out);
+    out.destroy();
+    fs.unlink(file.path, function () {});
+    fail(res, err);
+  }
+
+  req.on('data', function (chunk) {
+    file.size += chunk.length;
+
+    if (file.size > Uploads.MAX_SIZE) {
+      var err = new Error('Files must be at most ' + Uploads.MAX_SIZE / 1024 / 1024 + ' MB');
+
+      err.status = 413;
+      abort(err);
+    }
+  });
+
+  req.on('error', abort);
+  out.on('error', abort);
+
+  out.on('finish', function () {
+    if (!failed) {
+      req.file = file;
+      next();
+    }
+  });
+
+  req.pipe(out);
+}
+
+function serveUpload(req, res, thumbnail) {
+  uploads.get(req.params.id, function (err, upload) {
+    if (err)
+      return fail(res, err);
+
+    if (!upload || thumbnail && !upload.thumbnail)
+      return res.json(404, { error: 'No such file' });
+
+    var inline = thumbnail || upload.type.indexOf('image/') === 0;
+
+    res.set({
+      'Content-Type': thumbnail ? 'image/png' : upload.type,
+      'Content-Disposition': (inline ? 'inline' : 'attachment') + '; filename*=UTF-8\'\'' + encodeURIComponent(upload.name),
+      'X-Content-Type-Options': 'nosniff'
+    });
+    res.sendfile(uploads.path(upload, thumbnail));
+  });
+}
+
+//
+// What messages tell about an attached `upload`: its `id`, `name`, `type`,
+// `size`, `url`, and the `thumbnail` url of images, or `null`.
+//
+function attachment(upload) {
+  return {
+    id: upload.id,
+    name: upload.name,
+    type: upload.type,
+    size: upload.size,
+    url: '/uploads/' + upload.id,
+    thumbnail: upload.thumbnail ? '/uploads/' + upload.id + '/thumbnail' : null
+  };
+}
+
+function uploadIds(attachments) {
+  return attachments.map(function (attachment) {
+    return attachment.id;
+  });
+}
+
+function hasAttachments(msg) {
+  return Array.isArray(msg.attachments) && msg.attachments.length > 0;
+}
+
+//
+// Calls back with `(err, attachments)` for the upload `ids` of a message by
+// the user `name`, who must have uploaded them.
+//
+function attachmentsOf(ids, name, callback) {
+  if (ids == null)
+    return process.nextTick(callback.bind(null, null, []));
+
+  if (!Array.isArray(ids) || ids.length > MAX_ATTACHMENTS)
+    return process.nextTick(callback.bind(null, 'Messages can have up to ' + MAX_ATTACHMENTS + ' attachments'));
+
+  async.map(ids, uploads.get.bind(uploads), function (err, found) {
+    if (err) {
+      console.error('Could not load uploads:', err);
+      return callback('Could not load attachments');
+    }
+
+    for (var i = 0; i < found.length; i++) {
+      if (!found[i] || found[i].owner !== name)
+        return callback('No such upload: ' + ids[i]);
+    }
+
+    callback(null, found.map(attachment));
+  });
+}
+
+//
+// The error refusing an `event` whose payload does not match its schema: its
+// `message` tells what is wrong for people, `errors` lists each problem as
+// the `field` it is about and a `message`, see `lib/schema.js`.
+//
+function invalidPayload(event, errors) {
+  return {
+    message: 'Invalid ' + event + ': ' + errors.map(function (error) {
+      return (error.field ? error.field + ' ' : '') + error.message;
+    }).join(', '),
+    event: event,
+    errors: errors
+  };
+}
+
+//
+// Answers a failed API request. Errors without a `status` are unexpected, so
+// they are logged and their details are kept from the client.
+//
+function fail(res, err) {
+  if (!err.status)
+    console.error(err.stack || err);
+
+  res.json(err.status || 500, { error: err.status ? err.message : 'Internal server error' });
+}
+
+//
+// Adds `socket` to `room`. It receives the whole roster of the room, and
+// only its changes from then on, and its topic if it has one.
+//
+function join(socket, room) {
+  (rooms[room] = rooms[room] || []).push(socket);
+
+  updateRoster(room, function () {
+    socket.emit('roster', { room: room, users: values(rosters[room]) });
+
+    if (topics[room])
+      socket.emit('topic', topics[room]);
+  });
+  broadcast('rooms', listRooms());
+}
+
+function leave(socket, room) {
+  var members = rooms[room];
+
+  members.splice(members.indexOf(socket), 1);
+
+  if (members.length) {
+    updateRoster(room);
+  } else {
+    delete rooms[room];
+    delete rosters[room];
+  }
+
+  broadcast('rooms', listRooms());
+}
+
+function roomsOf(socket) {
+  return Object.keys(rooms).filter(function (room) {
+    return rooms[room].indexOf(socket) !== -1;
+  });
+}
+
+function listRooms() {
+  return Object.keys(rooms).sort().map(function (room) {
+    var users = rooms[room].map(function (socket) {
+      return socket.handshake.username;
+    });
+
+    return {
+      name: room,
+      users: users.filter(function (user, i) {
+        return users.indexOf(user) === i;
+      }).length
+    };
+  });
+}
+
+//
+// Tells the members of `room` how its roster changed since the last update,
+// with a `rosterChange` event holding either the new or changed `user`, or
+// the name of a `removed` one. Then calls `callback`, if given.
+//
+function updateRoster(room, callback) {
+  rosterOf(room, function (err, users) {
+    var previous = rosters[room] || Object.create(null);
+
+    Object.keys(users).forEach(function (name) {
+      if (JSON.stringify(users[name]) !== JSON.stringify(previous[name]))
+        broadcast('rosterChange', { room: room, user: users[name] }, room);
+    });
+
+    Object.keys(previous).forEach(function (name) {
+      if (!(name in users))
+        broadcast('rosterChange', { room: room, removed: name }, room);
+    });
+
+    rosters[room] = users;
+
+    if (callback)
+      callback();
+  });
+}
+
+//
+// Calls back with the members of `room` by name. A user connected from
+// several tabs or devices appears once: the entry holds their `id` and
+// `name` (both the username), their `nick`name or `null`, their `role`, the
+// number of `devices`, the `status` of the most recently active one, the
+// time they went idle (`idleSince`, or `null` if any device is active) and
+// the time they were last active.
+//
+function rosterOf(room, callback) {
+  async.map(
+    rooms[room] || [],
+    function (socket, callback) {
+      socket.get('name', function (err, name) {
+        socket.get('role', function (err, role) {
+          socket.get('nick', function (err, nick) {
+            callback(err, { name: name, nick: nick, role: role, state: presence[socket.id] });
+          });
+        });
+      });
+    },
+    function (err, members) {
+      // Usernames such as `constructor` must not hit Object.prototype.
+      var users = Object.create(null);
+
+      members.forEach(function (member) {
+        if (!member.name)
+          return;
+
+        var state = member.state;
+        var user = users[member.name];
+
+        if (!user) {
+          users[member.name] = {
+            id: member.name,
+            name: member.name,
+            nick: member.nick,
+            role: member.role,
+            devices: 1,
+            status: state.status,
+            idleSince: state.idleSince,
+            lastSeen: state.lastSeen
+          };
+          return;
+        }
+
+        user.devices++;
+
+        if (state.lastSeen > user.lastSeen) {
+          user.status = state.status;
+          user.lastSeen = state.lastSeen;
+        }
+
+        if (!state.idleSince || !user.idleSince)
+          user.idleSince = null;
+        else
+          user.idleSince = Math.max(user.idleSince, state.idleSince);
+      });
+
+      callback(err, users);
+    }
+  );
+}
+
+function values(object) {
+  return Object.keys(object || {}).map(function (key) {
+    return object[key];
+  });
+}
+
+//
+// Sends the room message `msg` on behalf of the user of `socket`, see the
+// `message` event, and calls back with `(err, message)`. Messages sent by
+// commands can be `action`s.
+//
+function post(socket, msg, callback) {
+  var room = msg.room;
+  var text = msg.text || '';
+
+  if (!text && !hasAttachments(msg))
+    return callback('A text or an attachment is required');
+
+  if (roomsOf(socket).indexOf(room) === -1)
+    return callback('Not in room ' + room);
+
+  presence[socket.id].lastSeen = Date.now();
+
+  author(socket, function (err, name, nick) {
+    var data = {
+      room: room,
+      name: name,
+      text: text,
+      clientId: msg.clientId
+    };
+
+    if (nick)
+      data.nick = nick;
+
+    if (msg.action)
+      data.action = true;
+
+    async.parallel([
+      threadOf.bind(null, msg.parent, room),
+      mentionsIn.bind(null, text),
+      attachmentsOf.bind(null, msg.attachments, name),
+      mayPost.bind(null, name)
+    ], function (err, results) {
+      if (err)
+        return callback(err);
+
+      var parent = results[0];
+      var mentions = results[1];
+
+      if (parent)
+        data.parent = parent.id;
+
+      if (mentions.length)
+        data.mentions = mentions;
+
+      if (results[2].length)
+        data.attachments = results[2];
+
+      save(data, function (err, message, duplicate) {
+        if (err)
+          return callback('Could not save message');
+
+        if (!duplicate) {
+          publish('message', message);
+
+          if (parent)
+            countReply(parent, message);
+
+          mentions.forEach(function (user) {
+            if (user !== name)
+              sendTo(user, 'mention', message);
+          });
+        }
+
+        callback(null, message);
+      });
+    });
+  });
+}
+
+//
+// Sends the private message `msg` like `post` does, see the
+// `privateMessage` event.
+//
+function postPrivate(socket, msg, callback) {
+  var to = msg.to;
+  var text = msg.text || '';
+
+  if (!text && !hasAttachments(msg))
+    return callback('A text or an attachment is required');
+
+  presence[socket.id].lastSeen = Date.now();
+
+  author(socket, function (err, name, nick) {
+    async.parallel([
+      registered.bind(null, to),
+      attachmentsOf.bind(null, msg.attachments, name),
+      mayPost.bind(null, name)
+    ], function (err, results) {
+      if (err)
+        return callback(err);
+
+      to = results[0];
+
+      var data = {
+        conversation: conversation(name, to),
+        name: name,
+        to: to,
+        text: text,
+        clientId: msg.clientId
+      };
+
+      if (nick)
+        data.nick = nick;
+
+      if (msg.action)
+        data.action = true;
+
+      if (results[1].length)
+        data.attachments = results[1];
+
+      save(data, function (err, message, duplicate) {
+        if (err)
+          return callback('Could not save message');
+
+        if (!duplicate)
+          publish('privateMessage', message);
+
+        callback(null, message);
+      });
+    });
+  });
+}
+
+//
+// Calls back with `(err, name, nick)`, the username and nickname of the user
+// of `socket`.
+//
+function author(socket, callback) {
+  socket.get('name', function (err, name) {
+    socket.get('nick', function (err, nick) {
+      callback(err, name, nick);
+    });
+  });
+}
+
+//
+// Sends a message for a command, as the `event` its client would, after
+// validating `data` like its payload. `data.action` is kept.
+//
+function sendAs(socket, event, data, callback) {
+  var result = schema.validate(SCHEMAS[event], data);
+
+  if (result.errors.length)
+    return callback(invalidPayload(event, result.errors).message);
+
+  result.value.action = !!data.action;
+  (event === 'message' ? post : postPrivate)(socket, result.value, callback);
+}
+
+//
+// Runs the command typed as the text of `msg`, a `message` or
+// `privateMessage` payload, on behalf of the user of `socket`. Calls back
+// with `(err, result)`, where `result` names the `command` along with what
+// it passed back. Unexpected errors are logged, and kept from the user.
+//
+function runCommand(socket, msg, callback) {
+  var parsed = commands.parse(msg.text);
+  var command = commands.get(parsed.name);
+
+  if (hasAttachments(msg))
+    return callback('Commands cannot have attachments');
+
+  if (msg.room && roomsOf(socket).indexOf(msg.room) === -1)
+    return callback('Not in room ' + msg.room);
+
+  socket.get('role', function (err, role) {
+    if (!command || rank(role) < rank(command.role || 'user'))
+      return callback('Unknown command /' + parsed.name + ', type /help for the list');
+
+    var context = {
+      socket: socket,
+      user: socket.handshake.username,
+      role: role,
+      room: msg.room || null,
+      parent: msg.parent || null,
+      to: msg.to || null,
+      send: function (data, callback) {
+        var event = msg.to ? 'privateMessage' : 'message';
+        var where = msg.to ? { to: msg.to } : { room: msg.room, parent: msg.parent };
+
+        where.text = data.text;
+        where.action = data.action;
+        sendAs(socket, event, where, callback);
+      }
+    };
+
+    var answered = false;
+
+    // Commands which throw fail like those calling back with an error, and
+    // only the first answer of a command counts.
+    function done(err, result) {
+      if (answered)
+        return;
+
+      answered = true;
+
+      if (err && typeof err !== 'string') {
+        if (!err.status)
+          console.error('Could not run /' + command.name + ':', err.stack || err);
+
+        err = err.status ? err.message : 'Could not run /' + command.name;
+      }
+
+      if (err)
+        return callback(err);
+
+      result = result || {};
+      result.command = command.name;
+      callback(null, result);
+    }
+
+    try {
+      command.run(parsed.args, context, done);
+    } catch (err) {
+      done(err);
+    }
+  });
+}
+
+//
+// The commands users with `role` can run.
+//
+function availableCommands(role) {
+  return commands.list().filter(function (command) {
+    return rank(role) >= rank(command.role || 'user');
+  });
+}
+
+function usageOf(command) {
+  return '/' + command.name + (command.usage ? ' ' + command.usage : '');
+}
+
+//
+// Stores `message` and calls back with `(err, message, duplicate)`. If its
+// author recently sent a message with the same `clientId`, that one is passed
+// back instead, with `duplicate` set.
+//
+function save(message, callback) {
+  var key = message.clientId == null ? null : message.name + '\n' + message.clientId;
+
+  if (key && recentSends[key]) {
+    return process.nextTick(function () {
+      callback(null, recentSends[key], true);
+    });
+  }
+
+  store.append(message, function (err) {
+    if (err) {
+      console.error('Could not save message:', err);
+      return callback(err);
+    }
+
+    if (message.attachments) {
+      uploads.attach(uploadIds(message.attachments), function (err) {
+        if (err)
+          console.error('Could not save uploads:', err);
+      });
+    }
+
+    if (key) {
+      recentSends[key] = message;
+      recentOrder.push(key);
+
+      if (recentOrder.length > RECENT_SENDS)
+        delete recentSends[recentOrder.shift()];
+    }
+
+    callback(null, message, false);
+  });
+}
+
+//
+// Applies to the message `id` the changes returned by
+// `edit(message, name, role)`, on behalf of the user `name` of `socket`, and
+// publishes the result as `messageChanged`. `edit` returns an error string
+// instead to refuse them. Calls back with `(err, message)`.
+//
+function change(socket, id, edit, callback) {
+  var name = socket.handshake.username;
+
+  socket.get('role', function (err, role) {
+    store.find(Number(id), function (err, message) {
+      if (err) {
+        console.error('Could not load message:', err);
+        return callback('Could not load message');
+      }
+
+      if (!message || !canSee(socket, name, message))
+        return callback('No such message');
+
+      if (message.deleted)
+        return callback('This message was deleted');
+
+      var changes = edit(message, name, role);
+
+      if (typeof changes === 'string')
+        return callback(changes);
+
+      if (!Object.keys(changes).length)
+        return callback(null, message);
+
+      store.update(message.id, changes, function (err, message) {
+        if (err) {
+          console.error('Could not save message:', err);
+          return callback('Could not save message');
+        }
+
+        publish('messageChanged', message);
+        callback(null, message);
+      });
+    });
+  });
+}
+
+//
+// Calls back with `(err, parent)`, where `parent` is the message `id` of
+// `room` which starts the thread a reply goes to, or `null` for messages
+// which are not replies.
+//
+function threadOf(id, room, callback) {
+  if (id == null)
+    return process.nextTick(callback);
+
+  store.find(Number(id), function (err, parent) {
+    if (err) {
+      console.error('Could not load message:', err);
+      return callback('Could not load message');
+    }
+
+    if (!parent || parent.room !== room)
+      return callback('No such message');
+
+    if (parent.parent != null)
+      return callback('Replies cannot start a thread');
+
+    if (parent.deleted)
+      return callback('This message was deleted');
+
+    callback(null, parent);
+  });
+}
+
+function countReply(parent, reply) {
+  store.update(parent.id, { replies: (parent.replies || 0) + 1, lastReply: reply.time }, function (err, parent) {
+    if (err)
+      return console.error('Could not save message:', err);
+
+    publish('messageChanged', parent);
+  });
+}
+
+//
+// Calls back with `(err, mentions)`, where `mentions` holds the users with an
+// account that `text` mentions.
+//
+function mentionsIn(text, callback) {
+  var names = [];
+  var match;
+
+  MENTION.lastIndex = 0;
+
+  while ((match = MENTION.exec(text)))
+    names.push(match[2].replace(/\.+$/, ''));
+
+  accounts.known(names, function (err, known) {
+    if (err) {
+      console.error('Could not look up mentions:', err);
+      return callback('Could not look up mentions');
+    }
+
+    callback(null, known);
+  });
+}
+
+//
+// Authors can change their messages, and moderators any room message.
+// Returns an error string for everyone else.
+//
+function mayChange(message, name, role) {
+  if (message.name !== name && !(message.room && rank(role) >= rank('moderator')))
+    return 'Only its author can change this message';
+
+  return null;
+}
+
+//
+// Calls back with `(err, name)`, the username of the user `username` as
+// registered, whatever the case it was typed in, or an error string if they
+// have no account. Usernames sent by clients are looked up with it before
+// anything is keyed by them.
+//
+function registered(username, callback) {
+  accounts.known([username], function (err, known) {
+    if (err) {
+      console.error('Could not look up users:', err);
+      return callback('Could not look up ' + username);
+    }
+
+    if (!known.length)
+      return callback('No such user: ' + username);
+
+    callback(null, known[0]);
+  });
+}
+
+//
+// Calls back with an error string if the user `name` is muted.
+//
+function mayPost(name, callback) {
+  moderation.muted(name, function (err, mute) {
+    if (err) {
+      console.error('Could not load mutes:', err);
+      return callback('Could not load mutes');
+    }
+
+    if (mute)
+      return callback('You are muted until ' + new Date(mute.until).toISOString());
+
+    callback();
+  });
+}
+
+//
+// Calls back with `(err, name, target)` if the user `name` of `socket` has
+// at least the `role` needed, and a higher role than the user `target`, if
+// given, who must have an account. `target` is then their username as
+// registered, or `null`.
+//
+function authorize(socket, role, target, callback) {
+  var name = socket.handshake.username;
+
+  socket.get('role', function (err, mine) {
+    if (rank(mine) < rank(role))
+      return callback('Only ' + role + 's can do that');
+
+    if (target == null)
+      return callback(null, name, null);
+
+    registered(target, function (err, target) {
+      if (err)
+        return callback(err);
+
+      accounts.roleOf(target, function (err, theirs) {
+        if (err) {
+          console.error('Could not load role:', err);
+          return callback('Could not load the role of ' + target);
+        }
+
+        if (rank(theirs) >= rank(mine))
+          return callback('You can only act on users with a lower role');
+
+        callback(null, name, target);
+      });
+    });
+  });
+}
+
+//
+// Counts an offense against the rate limits by the user `name`, who is muted
+// once they have offended too often lately. Mutes by the server have no `by`.
+//
+function offend(name) {
+  var now = Date.now();
+  var times = (offenses[name] || []).filter(function (time) {
+    return now - time < OFFENSE_WINDOW;
+  });
+
+  times.push(now);
+  offenses[name] = times;
+
+  if (times.length < OFFENSES_TO_MUTE)
+    return;
+
+  delete offenses[name];
+
+  moderation.muted(name, function (err, mute) {
+    if (err || mute)
+      return;
+
+    moderation.mute(name, OFFENSE_MUTE_MINUTES, null, 'Sending too fast', function (err, mute) {
+      if (err)
+        return console.error('Could not save mute:', err);
+
+      sendTo(name, 'muted', mute);
+    });
+  });
+}
+
+//
+// The limits in `RATE_LIMITS`, with those of the events in the JSON object
+// `overrides`, if given, in their place.
+//
+function rateLimits(overrides) {
+  var limits = {};
+
+  overrides = overrides ? JSON.parse(overrides) : {};
+
+  [RATE_LIMITS, overrides].forEach(function (source) {
+    Object.keys(source).forEach(function (event) {
+      limits[event] = source[event];
+    });
+  });
+
+  return limits;
+}
+
+function rank(role) {
+  return Accounts.ROLES.indexOf(role);
+}
+
+function socketsOf(name) {
+  return sockets.filter(function (socket) {
+    return socket.handshake.username === name;
+  });
+}
+
+//
+// The network address a connection comes from. Behind a proxy, this is the
+// proxy's.
+//
+function addressOf(handshake) {
+  return handshake.address ? handshake.address.address : null;
+}
+
+function react(socket, msg, add, callback) {
+  var emoji = msg.emoji;
+
+  change(socket, msg.id, function (message, name) {
+    var reactions = {};
+
+    Object.keys(message.reactions || {}).forEach(function (key) {
+      reactions[key] = message.reactions[key].slice();
+    });
+
+    var users = Object.prototype.hasOwnProperty.call(reactions, emoji) ? reactions[emoji] : [];
+
+    // Nothing to change.
+    if ((users.indexOf(name) !== -1) === add)
+      return {};
+
+    if (add && !users.length && Object.keys(reactions).length >= MAX_REACTIONS)
+      return 'This message has too many reactions';
+
+    reactions[emoji] = add ? users.concat(name) : users.filter(function (user) {
+      return user !== name;
+    });
+
+    if (!reactions[emoji].length)
+      delete reactions[emoji];
+
+    return { reactions: reactions };
+  }, callback);
+}
+
+//
+// Room messages are visible to the members of the room, private ones to
+// their sender and recipient.
+//
+function canSee(socket, name, message) {
+  if (message.room)
+    return roomsOf(socket).indexOf(message.room) !== -1;
+
+  return message.name === name || message.to === name;
+}
+
+//
+// Sends `event` about `message` to everyone who can see it.
+//
+function publish(event, message) {
+  if (message.room)
+    return broadcast(event, message, message.room);
+
+  sendTo(message.name, event, message);
+
+  if (message.to !== message.name)
+    sendTo(message.to, event, message);
+}
+
+//
+// Returns the key under which the private messages between the users `a` and
+// `b` are stored, the same whichever of them is the sender.
+//
+function conversation(a, b) {
+  return JSON.stringify([a, b].sort());
+}
+
+//
+// Sends `event` to every socket identified as `name`.
+//
+function sendTo(name, event, data) {
+  var targets = sockets.slice();
+
+  async.map(
+    targets,
+    function (socket, callback) {
+      socket.get('name', callback);
+    },
+    function (err, names) {
+      names.forEach(function (socketName, i) {
+        if (socketName === name)
+          targets[i].emit(event, data);
+      });
+    }
+  );
+}
+
+//
+// Sends `event` to every socket, or only to the members of `room` if given,
+// except for the socket `except`.
+//
+function broadcast(event, data, room, except) {
+  (room ? rooms[room] || [] : sockets).forEach(function (socket) {
+    if (socket !== except)
+      socket.emit(event, data);
   });
 }
 
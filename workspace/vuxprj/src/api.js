@@ -0,0 +1,5 @@
+// The error message the chat server answered a failed request with, or
+// `fallback` if it could not be reached.
+export function errorMessage (err, fallback) {
+  return (err.response && err.response.data && err.response.data.error) || fallback
+}
@@ -0,0 +1,37 @@
+// The socket.io client is served by the chat server itself, at the version
+// matching it, rather than bundled.
+let loading = null
+
+function loadClient () {
+  if (!loading) {
+    loading = new Promise((resolve, reject) => {
+      const script = document.createElement('script')
+
+      script.src = '/socket.io/socket.io.js'
+      script.onload = () => resolve(window.io)
+      script.onerror = () => {
+        loading = null
+        document.head.removeChild(script)
+        reject(new Error('Could not load the socket.io client'))
+      }
+      document.head.appendChild(script)
+    })
+  }
+
+  return loading
+}
+
+// Opens a new socket to the chat server, authenticated by a session token.
+// It keeps trying to reconnect whenever the connection is lost.
+export function connect (token) {
+  return loadClient().then(io => io.connect('/?token=' + encodeURIComponent(token), {
+    'force new connection': true,
+    'max reconnection attempts': Infinity
+  }))
+}
+
+// The text of an error from the chat server: invalid payloads are refused
+// with an object telling what is wrong, other errors are strings.
+export function errorText (err) {
+  return typeof err === 'string' ? err : err.message
+}
@@ -1,8 +1,24 @@
 // The Vue build version to load with the `import` command
 // (runtime-only or standalone) has been set in webpack.base.conf with an alias.
 import Vue from 'vue'
+import { AjaxPlugin, LoadingPlugin, ToastPlugin } from 'vux'
 import App from './App'
 import router from './router'
+import { getSession, clearSession } from './session'
+
+Vue.use(AjaxPlugin)
+Vue.use(LoadingPlugin)
+Vue.use(ToastPlugin)
+
+// The server answers 401 once a session has been ended elsewhere, e.g. by a
+// password reset.
+Vue.http.interceptors.response.use(null, err => {
+  if (err.response && err.response.status === 401 && getSession()) {
+    clearSession()
+  }
+
+  return Promise.reject(err)
+})
 
 Vue.config.productionTip = false
 
@@ -0,0 +1,63 @@
+// Renders the safe Markdown subset of chat messages as HTML, like the chat
+// page of the server does: **bold**, *italics* or _italics_, `inline code`,
+// fenced code blocks, highlighted with highlight.js from static/, and links to
+// web addresses. Everything else, HTML included, is escaped and shown as
+// typed.
+
+// Fenced code blocks, with an optional language name.
+const FENCE = /^```[ \t]*([\w+#-]*)[ \t]*\n([\s\S]*?)\n?```[ \t]*$/gm
+
+// Inline code spans and links, which are not formatted further.
+const VERBATIM = /(`[^`\n]+`|https?:\/\/[^\s<>"]*[^\s<>".,:;!?)\]'])/
+
+export function markdown (source) {
+  let html = ''
+  let last = 0
+  let match
+
+  FENCE.lastIndex = 0
+
+  // The line breaks around blocks are not shown.
+  while ((match = FENCE.exec(source))) {
+    html += inline(source.slice(last, match.index).replace(/\n$/, '')) + codeBlock(match[2], match[1])
+    last = FENCE.lastIndex + (source.charAt(FENCE.lastIndex) === '\n' ? 1 : 0)
+  }
+
+  return html + inline(source.slice(last))
+}
+
+function inline (text) {
+  return text.split(VERBATIM).map((part, i) => {
+    if (i % 2 === 0) {
+      return escape(part)
+        .replace(/\*\*(?=\S)([^*]*?\S)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^\w*])\*(?=\S)([^*]*?\S)\*(?![\w*])/g, '$1<em>$2</em>')
+        .replace(/(^|[^\w])_(?=\S)([^_]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+        .replace(/\n/g, '<br>')
+    }
+
+    if (part.charAt(0) === '`') return '<code>' + escape(part.slice(1, -1)) + '</code>'
+
+    return '<a href="' + escape(part) + '" target="_blank" rel="noopener noreferrer">' + escape(part) + '</a>'
+  }).join('')
+}
+
+// Blocks in an unknown language, or without one, are highlighted as the
+// language they look like.
+function codeBlock (code, language) {
+  const hljs = window.hljs
+  let html = escape(code)
+
+  if (hljs) {
+    html = language && hljs.getLanguage(language)
+      ? hljs.highlight(code, { language }).value
+      : hljs.highlightAuto(code).value
+  }
+
+  return '<pre><code class="hljs">' + html + '</code></pre>'
+}
+
+function escape (text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;').replace(/'/g, '&#39;')
+}
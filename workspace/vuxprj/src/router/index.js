@@ -1,15 +1,82 @@
 import Vue from 'vue'
 import Router from 'vue-router'
 import Hello from '@/components/Hello'
+import Home from '@/components/Home'
+import Register from '@/components/Register'
+import Forgot from '@/components/Forgot'
+import Reset from '@/components/Reset'
+import Chat from '@/components/Chat'
+import { getSession, onSessionEnd } from '@/session'
 
 Vue.use(Router)
 
-export default new Router({
+// Routes are public unless their meta has `requiresAuth`. Those with
+// `guestOnly` are only for logged out users, e.g. the login page.
+const router = new Router({
   routes: [
     {
       path: '/',
       name: 'Hello',
-      component: Hello
+      component: Hello,
+      meta: { guestOnly: true }
+    },
+    {
+      path: '/register',
+      name: 'Register',
+      component: Register,
+      meta: { guestOnly: true }
+    },
+    {
+      path: '/forgot',
+      name: 'Forgot',
+      component: Forgot,
+      meta: { guestOnly: true }
+    },
+    {
+      path: '/reset',
+      name: 'Reset',
+      component: Reset
+    },
+    {
+      path: '/home',
+      name: 'Home',
+      component: Home,
+      meta: { requiresAuth: true }
+    },
+    {
+      path: '/chat/:room?',
+      name: 'Chat',
+      component: Chat,
+      meta: { requiresAuth: true }
     }
   ]
 })
+
+function requiresAuth (route) {
+  return route.matched.some(record => record.meta.requiresAuth)
+}
+
+// Where the login page sends `route` back to once logged in.
+function login (route) {
+  return { name: 'Hello', query: { redirect: route.fullPath } }
+}
+
+router.beforeEach((to, from, next) => {
+  const loggedIn = !!getSession()
+
+  if (requiresAuth(to) && !loggedIn) {
+    next(login(to))
+  } else if (to.matched.some(record => record.meta.guestOnly) && loggedIn) {
+    next({ name: 'Home' })
+  } else {
+    next()
+  }
+})
+
+onSessionEnd(() => {
+  if (requiresAuth(router.currentRoute)) {
+    router.replace(login(router.currentRoute))
+  }
+})
+
+export default router
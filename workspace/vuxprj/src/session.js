@@ -0,0 +1,81 @@
+// The login session returned by the chat server's `/api/login`: its
+// `token`, `username` and `expires` time. It is kept under the same key as
+// the chat page in client/index.html uses, so logging out of one tab or page
+// logs out of all of them.
+const KEY = 'chat.session'
+
+// setTimeout() fires at once for delays over 2^31 - 1 milliseconds.
+const MAX_DELAY = 2147483647
+
+const listeners = []
+let expiry = null
+
+function read () {
+  return JSON.parse(localStorage.getItem(KEY) || 'null')
+}
+
+// Ends the session when it expires.
+function schedule (session) {
+  clearTimeout(expiry)
+
+  if (session) {
+    expiry = setTimeout(() => {
+      if (Date.now() >= session.expires) {
+        clearSession()
+      } else {
+        schedule(session)
+      }
+    }, Math.min(session.expires - Date.now(), MAX_DELAY))
+  }
+}
+
+function ended () {
+  clearTimeout(expiry)
+  listeners.forEach(listener => listener())
+}
+
+// The current session, or null if there is none or it has expired.
+export function getSession () {
+  const session = read()
+
+  return session && session.expires > Date.now() ? session : null
+}
+
+export function setSession (session) {
+  localStorage.setItem(KEY, JSON.stringify(session))
+  schedule(session)
+}
+
+export function clearSession () {
+  localStorage.removeItem(KEY)
+  ended()
+}
+
+// Calls `listener` whenever the session ends: on logout, on expiry, or when
+// it is cleared from another tab.
+export function onSessionEnd (listener) {
+  listeners.push(listener)
+}
+
+// Request options authenticating an API call with the current session.
+export function authHeaders () {
+  const session = getSession()
+
+  return {
+    headers: { Authorization: 'Bearer ' + (session && session.token) }
+  }
+}
+
+window.addEventListener('storage', event => {
+  if (event.key !== KEY && event.key !== null) return
+
+  const session = read()
+
+  if (session) {
+    schedule(session)
+  } else {
+    ended()
+  }
+})
+
+schedule(getSession())
@@ -0,0 +1,96 @@
+// Declarative form validation. A component using the `validation` mixin lists
+// the rules of each of its data fields in a `validations` option:
+//
+//   validations: {
+//     account: [required('请输入账号'), maxLength(32, '账号最多 32 位')]
+//   }
+//
+// A rule is a function called with the field value (and the component as
+// `this`) that returns an error message, or '' if the value is fine. Errors
+// are only shown once a field has been edited, or after `touchAll()`.
+
+export function required (message) {
+  const rule = value => value ? '' : message
+
+  rule.required = true
+  return rule
+}
+
+export function minLength (length, message) {
+  return value => !value || value.length >= length ? '' : message
+}
+
+export function maxLength (length, message) {
+  return value => !value || value.length <= length ? '' : message
+}
+
+export function pattern (regexp, message) {
+  return value => !value || regexp.test(value) ? '' : message
+}
+
+// Requires letters and digits, or any two of lowercase, uppercase, digits and
+// symbols.
+export function strongPassword (message) {
+  return value => {
+    const kinds = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^a-zA-Z0-9]/].filter(kind => kind.test(value))
+
+    return !value || kinds.length >= 2 ? '' : message
+  }
+}
+
+export function sameAs (field, message) {
+  return function (value) {
+    return value === this[field] ? '' : message
+  }
+}
+
+export const validation = {
+  data () {
+    return {
+      touched: {}
+    }
+  },
+  created () {
+    Object.keys(this.$options.validations || {}).forEach(field => {
+      this.$watch(field, () => this.touch(field))
+    })
+  },
+  computed: {
+    // The first failing rule's message for every field, or ''.
+    errors () {
+      const validations = this.$options.validations || {}
+      const errors = {}
+
+      Object.keys(validations).forEach(field => {
+        errors[field] = validations[field]
+          .map(rule => rule.call(this, this[field]))
+          .filter(message => message)[0] || ''
+      })
+
+      return errors
+    },
+    // The errors of the edited fields, in the order of `validations`.
+    visibleErrors () {
+      return Object.keys(this.errors)
+        .filter(field => this.touched[field] && this.errors[field])
+        .map(field => this.errors[field])
+    },
+    valid () {
+      return Object.keys(this.errors).every(field => !this.errors[field])
+    }
+  },
+  methods: {
+    touch (field) {
+      this.$set(this.touched, field, true)
+    },
+    touchAll () {
+      Object.keys(this.errors).forEach(field => this.touch(field))
+    },
+    // `text` followed by a marker if `field` is required, for XInput titles.
+    label (text, field) {
+      const rules = (this.$options.validations || {})[field] || []
+
+      return rules.some(rule => rule.required) ? text + '<span class="form-required">*</span>' : text
+    }
+  }
+}